@@ -10,6 +10,12 @@ const fileUploadRoutes = require('./routes/fileUpload');
 const candidateRoutes = require('./routes/candidates');
 const downloadRoutes = require('./routes/downloads');
 const emlRoutes = require('./routes/eml');
+const requisitionRoutes = require('./routes/requisitions');
+const cacheRoutes = require('./routes/cache');
+const llmRoutes = require('./routes/llm');
+const promptRoutes = require('./routes/prompts');
+const skillRoutes = require('./routes/skills');
+const dataStore = require('./services/dataStore');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -34,7 +40,7 @@ const logger = winston.createLogger({
 
 // Create necessary directories
 const createDirectories = async () => {
-  const dirs = ['uploads', 'logs', 'outputs', 'temp'];
+  const dirs = ['uploads', 'logs', 'outputs', 'temp', dataStore.dataDir];
   for (const dir of dirs) {
     await fs.ensureDir(dir);
   }
@@ -44,8 +50,8 @@ const createDirectories = async () => {
 // Middleware
 app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:3001'],
-  methods: ['GET', 'POST', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-User']
 }));
 
 app.use(express.json({ limit: '50mb' }));
@@ -66,6 +72,11 @@ app.use('/api/upload', fileUploadRoutes);
 app.use('/api/candidates', candidateRoutes);
 app.use('/api/downloads', downloadRoutes);
 app.use('/api/eml', emlRoutes);
+app.use('/api/requisitions', requisitionRoutes);
+app.use('/api/cache', cacheRoutes);
+app.use('/api/llm', llmRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/skills', skillRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -101,6 +112,8 @@ app.use('*', (req, res) => {
 const startServer = async () => {
   try {
     await createDirectories();
+    // Load persisted data and run pending schema migrations before serving requests
+    dataStore.load();
     app.listen(PORT, () => {
       logger.info(`HR Resume Backend server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -111,6 +124,12 @@ const startServer = async () => {
   }
 };
 
+// Exit through process.exit so the data store writes its pending changes
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+  logger.info(`${signal} received, shutting down`);
+  process.exit(0);
+}));
+
 startServer();
 
 module.exports = app;
\ No newline at end of file
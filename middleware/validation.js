@@ -1,21 +1,200 @@
 const Joi = require('joi');
 const fileValidation = require('../utils/fileValidation');
 const logger = require('../utils/logger');
+const skillQuery = require('../utils/skillQuery');
+const extractionEngines = require('../services/extractionEngines');
+const degreeNormalizer = require('../utils/degreeNormalizer');
+const skillTaxonomy = require('../services/skillTaxonomy');
+
+// Engines register at startup, so check against the registry at validation time
+const extractionEngine = Joi.string().custom((value, helpers) => {
+  if (!extractionEngines.has(value)) {
+    return helpers.message(`"extractionEngine" must be one of [${extractionEngines.getNames().join(', ')}]`);
+  }
+  return value;
+});
+
+// Months are YYYY-MM; a current role has no end month
+const month = Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/, 'YYYY-MM');
+const workHistoryEntry = Joi.object({
+  company: Joi.string().trim().max(200).allow(null),
+  title: Joi.string().trim().max(200).allow(null),
+  location: Joi.string().trim().max(200).allow(null),
+  startMonth: month.required(),
+  endMonth: Joi.when('isCurrent', { is: true, then: Joi.valid(null), otherwise: month.allow(null) }),
+  isCurrent: Joi.boolean().default(false),
+  datePrecision: Joi.string().valid('month', 'year').default('month'),
+  bullets: Joi.array().items(Joi.string().trim().min(1)).default([])
+});
+const educationEntry = Joi.object({
+  degree: Joi.string().trim().max(100).required(),
+  level: Joi.string().valid(...degreeNormalizer.levels).required(),
+  fieldOfStudy: Joi.string().trim().max(200).allow(null),
+  institution: Joi.string().trim().max(200).allow(null),
+  graduationYear: Joi.number().integer().min(1950).max(2100).allow(null),
+  grade: Joi.string().trim().max(50).allow(null)
+});
 
 // Request validation schemas
 const schemas = {
   fileUpload: Joi.object({
     extractAdditionalFields: Joi.string().valid('true', 'false').default('false'),
-    processSubfolders: Joi.string().valid('true', 'false').default('true')
+    processSubfolders: Joi.string().valid('true', 'false').default('true'),
+    extractionEngine: extractionEngine
   }),
 
   emlUpload: Joi.object({
     extractAdditionalFields: Joi.string().valid('true', 'false').default('false'),
-    processSubfolders: Joi.string().valid('true', 'false').default('true')
+    processSubfolders: Joi.string().valid('true', 'false').default('true'),
+    extractionEngine: extractionEngine
   }),
 
   candidateId: Joi.object({
     id: Joi.string().uuid().required()
+  }),
+
+  candidateQuery: Joi.object({
+    // Boolean skill query, e.g. (React OR Angular) AND NOT PHP AND experience>=5
+    q: Joi.string().custom((value, helpers) => {
+      try {
+        skillQuery.parse(value);
+        return value;
+      } catch (error) {
+        return helpers.message(`"q" is not a valid skill query: ${error.message}`);
+      }
+    }),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    cursor: Joi.string(),
+    sort: Joi.string().valid('processedAt', 'experience', 'name').default('processedAt'),
+    order: Joi.string().valid('asc', 'desc').default('desc'),
+    fields: Joi.string(), // comma separated, e.g. name,email,rawText
+    skills: Joi.string(), // comma separated, candidate must have all of them
+    minExperience: Joi.number().min(0),
+    maxExperience: Joi.number().min(0),
+    experienceDiscrepancy: Joi.boolean(), // stated experience disagrees with the work history dates
+    minQualification: Joi.string().valid(...degreeNormalizer.levels), // highest degree level at least this
+    location: Joi.string(),
+    sourceEml: Joi.string(),
+    promptVersion: Joi.string(),
+    processedFrom: Joi.date().iso(),
+    processedTo: Joi.date().iso()
+  }),
+
+  candidateUpdate: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    email: Joi.string().email().allow(null),
+    phone: Joi.string().trim().max(30).allow(null),
+    experience: Joi.string().trim().max(50).allow(null),
+    linkedinUrl: Joi.string().uri().allow(null),
+    primarySkills: Joi.array().items(Joi.string().trim().min(1)).unique(),
+    secondarySkills: Joi.array().items(Joi.string().trim().min(1)).unique(),
+    additionalFields: Joi.object().allow(null),
+    workHistory: Joi.array().items(workHistoryEntry),
+    education: Joi.array().items(educationEntry)
+  }).min(1),
+
+  candidateStage: Joi.object({
+    stage: Joi.string().trim().required(),
+    reason: Joi.string().trim().max(500).allow(null, '')
+  }),
+
+  candidateQuestion: Joi.object({
+    question: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  candidateMerge: Joi.object({
+    primaryId: Joi.string().uuid().required(),
+    duplicateIds: Joi.array()
+      .items(Joi.string().uuid().invalid(Joi.ref('...primaryId')))
+      .min(1)
+      .unique()
+      .required()
+  }),
+
+  requisitionId: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
+  requisition: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().allow(null, ''),
+    requiredSkills: Joi.array().items(Joi.string().trim().min(1)).unique().default([]),
+    optionalSkills: Joi.array().items(Joi.string().trim().min(1)).unique().default([]),
+    minExperience: Joi.number().min(0).max(50).default(0),
+    maxExperience: Joi.number().min(Joi.ref('minExperience')).max(50).allow(null),
+    location: Joi.string().trim().allow(null, ''),
+    status: Joi.string().valid('open', 'closed').default('open'),
+    sourceFileName: Joi.string().allow(null, '')
+  }),
+
+  requisitionUpdate: Joi.object({
+    title: Joi.string().trim().min(1).max(200),
+    description: Joi.string().allow(null, ''),
+    requiredSkills: Joi.array().items(Joi.string().trim().min(1)).unique(),
+    optionalSkills: Joi.array().items(Joi.string().trim().min(1)).unique(),
+    minExperience: Joi.number().min(0).max(50),
+    maxExperience: Joi.number().min(0).max(50).allow(null),
+    location: Joi.string().trim().allow(null, ''),
+    status: Joi.string().valid('open', 'closed')
+  }).min(1),
+
+  requisitionMatches: Joi.object({
+    limit: Joi.number().integer().min(1).max(200).default(50),
+    minScore: Joi.number().min(0).max(100).default(0)
+  }),
+
+  candidateSearch: Joi.object({
+    q: Joi.string().trim().min(1).required(),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  cacheFilter: Joi.object({
+    kind: Joi.string().valid('text', 'extraction'),
+    fileHash: Joi.string().hex().length(64),
+    version: Joi.string().max(200),
+    olderThan: Joi.date().iso()
+  }),
+
+  promptTemplate: Joi.object({
+    template: Joi.string().min(1).max(20000).required(),
+    description: Joi.string().trim().max(500).allow(null, ''),
+    activate: Joi.boolean().default(false)
+  }),
+
+  promptPreview: Joi.object({
+    text: Joi.string().max(50000),
+    candidateId: Joi.string().uuid(),
+    extractAdditionalFields: Joi.boolean().default(false)
+  }).oxor('text', 'candidateId'),
+
+  llmUsage: Joi.object({
+    days: Joi.number().integer().min(1).max(90).default(7)
+  }),
+
+  skillId: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
+  skill: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    aliases: Joi.array().items(Joi.string().trim().min(1).max(100)).unique().default([]),
+    category: Joi.string().trim().lowercase().min(1).max(50).required(),
+    weight: Joi.string().valid(...skillTaxonomy.weights).default('secondary'),
+    caseSensitiveTerms: Joi.array().items(Joi.string().trim().min(1).max(100)).unique().default([])
+  }),
+
+  skillUpdate: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    aliases: Joi.array().items(Joi.string().trim().min(1).max(100)).unique(),
+    category: Joi.string().trim().lowercase().min(1).max(50),
+    weight: Joi.string().valid(...skillTaxonomy.weights),
+    caseSensitiveTerms: Joi.array().items(Joi.string().trim().min(1).max(100)).unique()
+  }).min(1),
+
+  skillList: Joi.object({
+    category: Joi.string().trim().lowercase(),
+    weight: Joi.string().valid(...skillTaxonomy.weights),
+    q: Joi.string().trim().max(100)
   })
 };
 
@@ -160,6 +339,55 @@ const validateCandidateId = (req, res, next) => {
   }
 };
 
+// Requisition ID validation middleware
+const validateRequisitionId = (req, res, next) => {
+  try {
+    const { error, value } = schemas.requisitionId.validate(req.params);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid requisition ID format',
+        details: error.details.map(d => d.message),
+        status: 400
+      });
+    }
+
+    req.params = value;
+    next();
+
+  } catch (error) {
+    logger.error('Requisition ID validation error:', error);
+    res.status(500).json({
+      error: 'ID validation failed due to internal error',
+      details: error.message,
+      status: 500
+    });
+  }
+};
+
+const validateSkillId = (req, res, next) => {
+  try {
+    const { error, value } = schemas.skillId.validate(req.params);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid skill ID format',
+        details: error.details.map(d => d.message),
+        status: 400
+      });
+    }
+
+    req.params = value;
+    next();
+
+  } catch (error) {
+    logger.error('Skill ID validation error:', error);
+    res.status(500).json({
+      error: 'ID validation failed due to internal error',
+      details: error.message,
+      status: 500
+    });
+  }
+};
+
 // Generic request validation middleware
 const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -284,6 +512,8 @@ module.exports = {
   validateFileUpload,
   validateEmlUpload,
   validateCandidateId,
+  validateRequisitionId,
+  validateSkillId,
   validateRequest,
   validateQuery,
   validateContentType,
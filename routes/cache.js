@@ -0,0 +1,108 @@
+const express = require('express');
+const { validateQuery, schemas } = require('../middleware/validation');
+const extractionCache = require('../services/extractionCache');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Cache summary and entry metadata (cached values are not included)
+router.get('/', validateQuery(schemas.cacheFilter), async (req, res) => {
+  try {
+    const entries = extractionCache.listEntries(req.query);
+
+    res.json({
+      success: true,
+      summary: extractionCache.getSummary(),
+      count: entries.length,
+      entries: entries,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error reading extraction cache:', error);
+    res.status(500).json({
+      error: 'Failed to read extraction cache',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Single entry including the cached value
+router.get('/entries/:id', async (req, res) => {
+  try {
+    const entry = extractionCache.getEntry(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Cache entry not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      entry: entry,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error reading extraction cache entry:', error);
+    res.status(500).json({
+      error: 'Failed to read cache entry',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Purge entries matching the filters (all entries when no filter is given)
+router.delete('/', validateQuery(schemas.cacheFilter), async (req, res) => {
+  try {
+    const removed = extractionCache.purge(req.query);
+
+    res.json({
+      success: true,
+      message: `Purged ${removed} cache entries`,
+      removed: removed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error purging extraction cache:', error);
+    res.status(500).json({
+      error: 'Failed to purge extraction cache',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+router.delete('/entries/:id', async (req, res) => {
+  try {
+    const entry = extractionCache.removeEntry(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Cache entry not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Removed cache entry ${entry.id}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error removing extraction cache entry:', error);
+    res.status(500).json({
+      error: 'Failed to remove cache entry',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+module.exports = router;
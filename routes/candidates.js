@@ -1,31 +1,94 @@
 const express = require('express');
+const { validateQuery, validateRequest, validateCandidateId, schemas } = require('../middleware/validation');
 const resumeParserService = require('../services/resumeParser');
+const searchIndex = require('../services/searchIndex');
+const duplicateDetectorService = require('../services/duplicateDetector');
+const candidateHistory = require('../services/candidateHistory');
+const pipelineService = require('../services/pipeline');
+const resumeQA = require('../services/resumeQA');
+const skillTaxonomy = require('../services/skillTaxonomy');
+const experienceCalculator = require('../utils/experienceCalculator');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Get all candidates
-router.get('/', async (req, res) => {
+const splitList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Get candidates (filtered, sorted and paginated)
+router.get('/', validateQuery(schemas.candidateQuery), async (req, res) => {
   try {
-    const candidates = resumeParserService.getAllCandidates();
+    const result = resumeParserService.queryCandidates({
+      ...req.query,
+      skills: splitList(req.query.skills),
+      fields: splitList(req.query.fields)
+    });
 
     res.json({
       success: true,
-      count: candidates.length,
-      candidates: candidates,
+      count: result.candidates.length,
+      total: result.total,
+      nextCursor: result.nextCursor,
+      candidates: result.candidates,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     logger.error('Error fetching candidates:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch candidates',
       details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
+// Full-text search over resume text
+router.get('/search', validateQuery(schemas.candidateSearch), async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    const matches = searchIndex.search(q, limit);
+
+    // A candidate removed since the search ran is left out
+    const results = matches
+      .map(match => ({ match, candidate: resumeParserService.getCandidateById(match.candidateId) }))
+      .filter(({ candidate }) => candidate)
+      .map(({ match, candidate }) => ({
+        candidate: resumeParserService.projectCandidate(candidate),
+        score: match.score,
+        matchedTerms: match.matchedTerms,
+        snippets: match.snippets
+      }));
+
+    res.json({
+      success: true,
+      query: q,
+      count: results.length,
+      results: results,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error searching candidates:', error);
+    res.status(500).json({
+      error: 'Failed to search candidates',
+      details: error.message,
       status: 500
     });
   }
 });
 
+// Get the recruitment pipeline configuration
+router.get('/pipeline', async (req, res) => {
+  res.json({
+    success: true,
+    pipeline: pipelineService.getConfig(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Get candidate by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -55,6 +118,189 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Identifies who made a change; there is no authentication, so this is caller-supplied
+const getChangedBy = (req) => req.get('X-User') || 'anonymous';
+
+// Correct fields the parser got wrong
+router.patch('/:id', validateCandidateId, validateRequest(schemas.candidateUpdate), async (req, res) => {
+  try {
+    const result = resumeParserService.updateCandidate(req.params.id, req.body, getChangedBy(req));
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Candidate not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      candidate: resumeParserService.projectCandidate(result.candidate),
+      changes: result.changes,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating candidate:', error);
+    res.status(500).json({
+      error: 'Failed to update candidate',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Move a candidate to another pipeline stage
+router.post('/:id/stage', validateCandidateId, validateRequest(schemas.candidateStage), async (req, res) => {
+  try {
+    const { stage, reason } = req.body;
+    const candidate = pipelineService.moveCandidate(req.params.id, stage, {
+      reason: reason || null,
+      changedBy: getChangedBy(req)
+    });
+
+    if (!candidate) {
+      return res.status(404).json({
+        error: 'Candidate not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      candidateId: candidate.id,
+      stage: candidate.stage,
+      stageEnteredAt: candidate.stageEnteredAt,
+      rejectionReason: candidate.rejectionReason,
+      stageHistory: candidate.stageHistory,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error moving candidate stage:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to move candidate',
+      details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
+// Answer a question about the candidate from their resume, citing the supporting lines
+router.post('/:id/ask', validateCandidateId, validateRequest(schemas.candidateQuestion), async (req, res) => {
+  try {
+    const candidate = resumeParserService.getCandidateById(req.params.id);
+
+    if (!candidate) {
+      return res.status(404).json({
+        error: 'Candidate not found',
+        status: 404
+      });
+    }
+
+    const result = await resumeQA.ask(candidate, req.body.question);
+
+    res.json({
+      success: true,
+      candidateId: candidate.id,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error answering question about candidate:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to answer question',
+      details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
+// Get the field-level change history of a candidate
+router.get('/:id/history', validateCandidateId, async (req, res) => {
+  try {
+    const history = candidateHistory.getHistory(req.params.id);
+
+    if (history.length === 0 && !resumeParserService.getCandidateById(req.params.id)) {
+      return res.status(404).json({
+        error: 'Candidate not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      candidateId: req.params.id,
+      count: history.length,
+      history: history,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching candidate history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch candidate history',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Find likely duplicates of a candidate
+router.get('/:id/duplicates', validateCandidateId, async (req, res) => {
+  try {
+    const duplicates = duplicateDetectorService.findDuplicates(req.params.id);
+
+    if (!duplicates) {
+      return res.status(404).json({
+        error: 'Candidate not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      candidateId: req.params.id,
+      count: duplicates.length,
+      duplicates: duplicates,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error finding duplicate candidates:', error);
+    res.status(500).json({
+      error: 'Failed to find duplicate candidates',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Merge duplicate candidates into a primary record
+router.post('/merge', validateRequest(schemas.candidateMerge), async (req, res) => {
+  try {
+    const { primaryId, duplicateIds } = req.body;
+    const result = duplicateDetectorService.mergeCandidates(primaryId, duplicateIds);
+
+    res.json({
+      success: true,
+      message: `Merged ${duplicateIds.length} candidate record(s) into ${primaryId}`,
+      candidate: resumeParserService.projectCandidate(result.candidate),
+      resolutions: result.resolutions,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error merging candidates:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to merge candidates',
+      details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
 // Clear all candidates data
 router.delete('/clear', async (req, res) => {
   try {
@@ -79,6 +325,35 @@ router.delete('/clear', async (req, res) => {
   }
 });
 
+// Delete a single candidate and its files
+router.delete('/:id', validateCandidateId, async (req, res) => {
+  try {
+    const candidate = await resumeParserService.deleteCandidate(req.params.id, getChangedBy(req));
+
+    if (!candidate) {
+      return res.status(404).json({
+        error: 'Candidate not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Deleted candidate ${candidate.name}`,
+      candidateId: candidate.id,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error deleting candidate:', error);
+    res.status(500).json({
+      error: 'Failed to delete candidate',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
 // Get candidates statistics
 router.get('/stats/overview', async (req, res) => {
   try {
@@ -89,13 +364,15 @@ router.get('/stats/overview', async (req, res) => {
       totalCandidates: candidates.length,
       avgExperience: 0,
       topSkills: {},
+      skillCategories: {},
       experienceDistribution: {
         '0-2': 0,
         '3-5': 0,
         '6-10': 0,
         '10+': 0
       },
-      linkedinProfiles: 0
+      linkedinProfiles: 0,
+      stageCounts: pipelineService.countByStage(candidates)
     };
 
     if (candidates.length > 0) {
@@ -103,7 +380,7 @@ router.get('/stats/overview', async (req, res) => {
 
       candidates.forEach(candidate => {
         // Experience calculation
-        const exp = parseInt(candidate.experience) || 0;
+        const exp = experienceCalculator.yearsOf(candidate);
         totalExperience += exp;
 
         // Experience distribution
@@ -114,18 +391,13 @@ router.get('/stats/overview', async (req, res) => {
 
         // LinkedIn profiles
         if (candidate.linkedinUrl) stats.linkedinProfiles++;
-
-        // Skills analysis
-        const allSkills = [
-          ...(candidate.primarySkills || []),
-          ...(candidate.secondarySkills || [])
-        ];
-
-        allSkills.forEach(skill => {
-          stats.topSkills[skill] = (stats.topSkills[skill] || 0) + 1;
-        });
       });
 
+      // Skills analysis, by canonical taxonomy name and by category
+      const skillCounts = skillTaxonomy.countSkills(candidates);
+      stats.topSkills = skillCounts.skills;
+      stats.skillCategories = skillCounts.categories;
+
       stats.avgExperience = (totalExperience / candidates.length).toFixed(1);
     }
 
@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs-extra');
 const { validateEmlUpload } = require('../middleware/validation');
 const emlProcessorService = require('../services/emlProcessor');
+const extractionEngines = require('../services/extractionEngines');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -53,6 +54,7 @@ router.post('/process', emlUpload.array('emlFiles', 10), validateEmlUpload, asyn
 
     const extractAdditionalFields = req.body.extractAdditionalFields === 'true';
     const processSubfolders = req.body.processSubfolders !== 'false'; // Default true
+    const extractionEngine = req.body.extractionEngine || extractionEngines.defaultEngine;
 
     const results = [];
     const errors = [];
@@ -66,7 +68,8 @@ router.post('/process', emlUpload.array('emlFiles', 10), validateEmlUpload, asyn
           file.path,
           file.originalname,
           extractAdditionalFields,
-          processSubfolders
+          processSubfolders,
+          extractionEngine
         );
 
         results.push({
@@ -106,6 +109,7 @@ router.post('/process', emlUpload.array('emlFiles', 10), validateEmlUpload, asyn
       totalCandidatesProcessed: totalCandidates,
       extractedAdditionalFields: extractAdditionalFields,
       processedSubfolders: processSubfolders,
+      extractionEngine: extractionEngine,
       results: results,
       errors: errors.length > 0 ? errors : undefined,
       timestamp: new Date().toISOString()
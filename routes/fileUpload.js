@@ -4,6 +4,7 @@ const path = require('path');
 const fs = require('fs-extra');
 const { validateFileUpload } = require('../middleware/validation');
 const resumeParserService = require('../services/resumeParser');
+const extractionEngines = require('../services/extractionEngines');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -64,6 +65,7 @@ router.post('/', upload.array('files', 20), validateFileUpload, async (req, res)
     }
 
     const extractAdditionalFields = req.body.extractAdditionalFields === 'true';
+    const extractionEngine = req.body.extractionEngine || extractionEngines.defaultEngine;
     const results = [];
     const errors = [];
 
@@ -75,7 +77,8 @@ router.post('/', upload.array('files', 20), validateFileUpload, async (req, res)
         const candidateData = await resumeParserService.parseResume(
           file.path, 
           file.originalname,
-          extractAdditionalFields
+          extractAdditionalFields,
+          { engine: extractionEngine }
         );
 
         results.push({
@@ -106,6 +109,7 @@ router.post('/', upload.array('files', 20), validateFileUpload, async (req, res)
       processed: results.length,
       failed: errors.length,
       extractedAdditionalFields: extractAdditionalFields,
+      extractionEngine: extractionEngine,
       results: results,
       errors: errors.length > 0 ? errors : undefined,
       timestamp: new Date().toISOString()
@@ -133,6 +137,16 @@ router.post('/', upload.array('files', 20), validateFileUpload, async (req, res)
   }
 });
 
+// List available extraction engines
+router.get('/engines', (req, res) => {
+  res.json({
+    success: true,
+    defaultEngine: extractionEngines.defaultEngine,
+    engines: extractionEngines.list(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Get upload statistics
 router.get('/stats', async (req, res) => {
   try {
@@ -0,0 +1,29 @@
+const express = require('express');
+const { validateQuery, schemas } = require('../middleware/validation');
+const llmClient = require('../services/llmProvider');
+const llmUsage = require('../services/llmUsage');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Token usage and estimated cost per day and per model, with today's budget status
+router.get('/usage', validateQuery(schemas.llmUsage), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      provider: llmClient.getInfo(),
+      usage: llmUsage.getReport(req.query.days),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching LLM usage:', error);
+    res.status(500).json({
+      error: 'Failed to fetch LLM usage',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+module.exports = router;
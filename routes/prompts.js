@@ -0,0 +1,133 @@
+const express = require('express');
+const { validateRequest, schemas } = require('../middleware/validation');
+const promptTemplates = require('../services/promptTemplates');
+const resumeParserService = require('../services/resumeParser');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Identifies who made a change; there is no authentication, so this is caller-supplied
+const getChangedBy = (req) => req.get('X-User') || 'anonymous';
+
+// All extraction prompt versions with the quality of the candidates each one produced
+router.get('/', async (req, res) => {
+  try {
+    const versions = promptTemplates.list();
+
+    res.json({
+      success: true,
+      activeVersion: promptTemplates.getActive().version,
+      count: versions.length,
+      versions: versions,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error listing prompt templates:', error);
+    res.status(500).json({
+      error: 'Failed to list prompt templates',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+router.get('/:version', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      template: promptTemplates.get(req.params.version),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching prompt template:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to fetch prompt template',
+      details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
+// Add a new version; existing versions are never edited
+router.post('/', validateRequest(schemas.promptTemplate), async (req, res) => {
+  try {
+    const template = promptTemplates.create(req.body, getChangedBy(req));
+
+    res.status(201).json({
+      success: true,
+      template: template,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error creating prompt template:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to create prompt template',
+      details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
+// Render a version against sample text, given text or a stored candidate's resume
+router.post('/:version/preview', validateRequest(schemas.promptPreview), async (req, res) => {
+  try {
+    let { text } = req.body;
+
+    if (req.body.candidateId) {
+      const candidate = resumeParserService.getCandidateById(req.body.candidateId);
+      if (!candidate) {
+        return res.status(404).json({
+          error: 'Candidate not found',
+          status: 404
+        });
+      }
+      text = candidate.rawText;
+    }
+
+    const preview = promptTemplates.preview(req.params.version, {
+      text,
+      extractAdditionalFields: req.body.extractAdditionalFields
+    });
+
+    res.json({
+      success: true,
+      ...preview,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error previewing prompt template:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to preview prompt template',
+      details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
+// New extractions use the activated version; cached results of other versions are not reused
+router.post('/:version/activate', async (req, res) => {
+  try {
+    const template = promptTemplates.activate(req.params.version, getChangedBy(req));
+
+    res.json({
+      success: true,
+      activeVersion: template.version,
+      template: template,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error activating prompt template:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to activate prompt template',
+      details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
+module.exports = router;
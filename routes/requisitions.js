@@ -0,0 +1,239 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs-extra');
+const { validateRequest, validateQuery, validateRequisitionId, schemas } = require('../middleware/validation');
+const requisitionService = require('../services/requisitionService');
+const matchScorerService = require('../services/matchScorer');
+const jobDescriptionParserService = require('../services/jobDescriptionParser');
+const resumeParserService = require('../services/resumeParser');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Configure multer for job description uploads
+const jdStorage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    const tempDir = 'temp/jd';
+    await fs.ensureDir(tempDir);
+    cb(null, tempDir);
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const originalName = file.originalname.replace(/[^a-zA-Z0-9.-]/g, '_');
+    cb(null, `${uniqueSuffix}-${originalName}`);
+  }
+});
+
+const jdUpload = multer({
+  storage: jdStorage,
+  fileFilter: (req, file, cb) => {
+    const fileExt = path.extname(file.originalname).toLowerCase();
+
+    if (jobDescriptionParserService.supportedFormats.includes(fileExt)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type not supported: ${file.originalname}. Allowed types: PDF, DOCX, DOC, TXT, EML`), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 1
+  }
+});
+
+// List requisitions
+router.get('/', async (req, res) => {
+  try {
+    const requisitions = requisitionService.getAllRequisitions();
+
+    res.json({
+      success: true,
+      count: requisitions.length,
+      requisitions: requisitions,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching requisitions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch requisitions',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Create a requisition
+router.post('/', validateRequest(schemas.requisition), async (req, res) => {
+  try {
+    const requisition = requisitionService.createRequisition(req.body);
+
+    res.status(201).json({
+      success: true,
+      requisition: requisition,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error creating requisition:', error);
+    res.status(500).json({
+      error: 'Failed to create requisition',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Parse an uploaded job description into a draft requisition for review (not saved)
+router.post('/parse', jdUpload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No job description file uploaded',
+      status: 400
+    });
+  }
+
+  try {
+    const draft = await jobDescriptionParserService.parseJobDescription(req.file.path, req.file.originalname);
+
+    res.json({
+      success: true,
+      draft: draft,
+      message: 'Review the draft and POST it to /api/requisitions to save it',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error parsing job description:', error);
+    res.status(422).json({
+      error: 'Failed to parse job description',
+      details: error.message,
+      status: 422
+    });
+  } finally {
+    await fs.remove(req.file.path).catch(() => {});
+  }
+});
+
+// Get requisition by ID
+router.get('/:id', validateRequisitionId, async (req, res) => {
+  try {
+    const requisition = requisitionService.getRequisitionById(req.params.id);
+
+    if (!requisition) {
+      return res.status(404).json({
+        error: 'Requisition not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      requisition: requisition,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching requisition:', error);
+    res.status(500).json({
+      error: 'Failed to fetch requisition',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Update a requisition
+router.patch('/:id', validateRequisitionId, validateRequest(schemas.requisitionUpdate), async (req, res) => {
+  try {
+    const requisition = requisitionService.updateRequisition(req.params.id, req.body);
+
+    if (!requisition) {
+      return res.status(404).json({
+        error: 'Requisition not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      requisition: requisition,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating requisition:', error);
+    res.status(500).json({
+      error: 'Failed to update requisition',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Delete a requisition
+router.delete('/:id', validateRequisitionId, async (req, res) => {
+  try {
+    const requisition = requisitionService.deleteRequisition(req.params.id);
+
+    if (!requisition) {
+      return res.status(404).json({
+        error: 'Requisition not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Deleted requisition ${requisition.title}`,
+      requisitionId: requisition.id,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error deleting requisition:', error);
+    res.status(500).json({
+      error: 'Failed to delete requisition',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Rank all candidates against a requisition
+router.get('/:id/matches', validateRequisitionId, validateQuery(schemas.requisitionMatches), async (req, res) => {
+  try {
+    const requisition = requisitionService.getRequisitionById(req.params.id);
+
+    if (!requisition) {
+      return res.status(404).json({
+        error: 'Requisition not found',
+        status: 404
+      });
+    }
+
+    const { limit, minScore } = req.query;
+    const matches = matchScorerService
+      .rankCandidates(resumeParserService.getAllCandidates(), requisition)
+      .filter(match => match.score >= minScore);
+
+    res.json({
+      success: true,
+      requisition: { id: requisition.id, title: requisition.title },
+      total: matches.length,
+      matches: matches.slice(0, limit),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error scoring candidates for requisition:', error);
+    res.status(500).json({
+      error: 'Failed to score candidates',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const { validateRequest, validateQuery, validateSkillId, schemas } = require('../middleware/validation');
+const skillTaxonomy = require('../services/skillTaxonomy');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Identifies who made a change; there is no authentication, so this is caller-supplied
+const getChangedBy = (req) => req.get('X-User') || 'anonymous';
+
+// List the taxonomy, optionally by category, weight or a name/alias search
+router.get('/', validateQuery(schemas.skillList), async (req, res) => {
+  try {
+    const skills = skillTaxonomy.list(req.query);
+
+    res.json({
+      success: true,
+      count: skills.length,
+      version: skillTaxonomy.getVersion(),
+      skills: skills,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error listing skills:', error);
+    res.status(500).json({
+      error: 'Failed to list skills',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Categories with the number of skills in each
+router.get('/categories', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      categories: skillTaxonomy.getCategories(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error listing skill categories:', error);
+    res.status(500).json({
+      error: 'Failed to list skill categories',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+router.get('/:id', validateSkillId, async (req, res) => {
+  try {
+    const skill = skillTaxonomy.get(req.params.id);
+
+    if (!skill) {
+      return res.status(404).json({
+        error: 'Skill not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      skill: skill,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error fetching skill:', error);
+    res.status(500).json({
+      error: 'Failed to fetch skill',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+// Add a skill; a name or alias already used by another skill is a 409
+router.post('/', validateRequest(schemas.skill), async (req, res) => {
+  try {
+    const skill = skillTaxonomy.create(req.body, getChangedBy(req));
+
+    res.status(201).json({
+      success: true,
+      skill: skill,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error creating skill:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to create skill',
+      details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
+// Stored candidates keep their skills; new extractions use the changed taxonomy
+router.patch('/:id', validateSkillId, validateRequest(schemas.skillUpdate), async (req, res) => {
+  try {
+    const skill = skillTaxonomy.update(req.params.id, req.body, getChangedBy(req));
+
+    if (!skill) {
+      return res.status(404).json({
+        error: 'Skill not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      skill: skill,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating skill:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to update skill',
+      details: error.message,
+      status: error.status || 500
+    });
+  }
+});
+
+router.delete('/:id', validateSkillId, async (req, res) => {
+  try {
+    const skill = skillTaxonomy.remove(req.params.id, getChangedBy(req));
+
+    if (!skill) {
+      return res.status(404).json({
+        error: 'Skill not found',
+        status: 404
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Deleted skill ${skill.name}`,
+      skillId: skill.id,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error deleting skill:', error);
+    res.status(500).json({
+      error: 'Failed to delete skill',
+      details: error.message,
+      status: 500
+    });
+  }
+});
+
+module.exports = router;
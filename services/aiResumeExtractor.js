@@ -1,38 +1,64 @@
-const { Configuration, OpenAIApi } = require('openai');
+const OpenAI = require('openai');
+const llmClient = require('./llmProvider');
+const promptTemplates = require('./promptTemplates');
+const skillTaxonomy = require('./skillTaxonomy');
+const llmResponseValidator = require('../utils/llmResponseValidator');
+const piiScrubber = require('../utils/piiScrubber');
+const textExtractor = require('../utils/textExtractor');
+const resumeSegmenter = require('../utils/resumeSegmenter');
 const logger = require('../utils/logger');
-require('dotenv').config();
+
+// additionalFields keys whose values are lists even when the model returns a string
+const LIST_FIELD = /compan|certif|project|language|education|employer/i;
 
 class AIResumeExtractor {
     constructor() {
-        const configuration = new Configuration({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
-        this.openai = new OpenAIApi(configuration);
-        
-        // Verify API key is configured
-        if (!process.env.OPENAI_API_KEY) {
-            logger.error('OpenAI API key is not configured! AI extraction will not work.');
-        } else {
-            logger.info('AI Resume Extractor initialized successfully');
+        this.llm = llmClient;
+        // How many times an invalid response is sent back to the model for correction
+        this.maxRepairAttempts = parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS || '2');
+        // Resumes longer than this many characters are extracted in several chunks
+        this.chunkSize = parseInt(process.env.LLM_CHUNK_SIZE || '3000');
+        // Identifiers are masked before text leaves the server; local and mock providers keep it in-house
+        this.piiScrubMode = piiScrubber.validateMode(
+            process.env.PII_SCRUB_MODE || (['local', 'mock'].includes(this.llm.providerName) ? 'off' : 'mask')
+        );
+
+        const { provider, model } = this.llm.getInfo();
+        logger.info(`AI Resume Extractor using ${provider} provider${model ? ` (${model})` : ''}, PII scrubbing: ${this.piiScrubMode}`);
+    }
+
+    // Identifies everything that shapes the output: prompt, provider, model, chunking, scrubbing
+    // and the skill taxonomy the skill names are mapped through
+    getVersion() {
+        const { provider, model } = this.llm.getInfo();
+        return `prompt-${promptTemplates.getActive().version}/${provider}/${model || 'default'}/chunk-${this.chunkSize}/pii-${this.piiScrubMode}/skills-${skillTaxonomy.getVersion()}`;
+    }
+
+    // Masks identifiers in text bound for the provider, including the candidate's name
+    scrubText(text) {
+        const names = [];
+        if (this.piiScrubMode !== 'off') {
+            const name = textExtractor.extractNameWithAI(text);
+            if (name && name !== 'Name Not Found') {
+                names.push(name);
+            }
         }
+        return piiScrubber.scrub(text, this.piiScrubMode, { names });
     }
 
-    async quickAnalyze(prompt) {
+    // purpose labels the call in the LLM usage records
+    async quickAnalyze(prompt, purpose = 'quickAnalyze') {
         try {
-            const completion = await this.openai.createChatCompletion({
-                model: "gpt-3.5-turbo",
-                messages: [{
-                    role: "system",
-                    content: "You are a specialized resume parser AI. Provide concise, accurate responses."
-                }, {
-                    role: "user",
-                    content: prompt
-                }],
+            const scrubbed = this.scrubText(prompt);
+            const completion = await this.llm.complete({
+                system: "You are a specialized resume parser AI. Provide concise, accurate responses.",
+                prompt: scrubbed.text,
                 temperature: 0.3,
-                max_tokens: 500
+                maxTokens: 500,
+                purpose
             });
 
-            return completion.data.choices[0].message.content.trim();
+            return piiScrubber.restore(completion.content.trim(), scrubbed.placeholders);
         } catch (error) {
             logger.error('Quick analyze failed:', error);
             throw error;
@@ -42,158 +68,310 @@ class AIResumeExtractor {
     async extractCandidateInfoAI(text, extractAdditionalFields = false) {
         try {
             logger.info('Starting AI-based resume extraction');
-            const prompt = this.generatePrompt(text, extractAdditionalFields);
+            const scrubbed = this.scrubText(text);
+            // Fixed for the whole resume even if another version is activated meanwhile
+            const template = promptTemplates.getActive();
+            const chunks = this.splitIntoChunks(scrubbed.text);
             
-            logger.info('Sending request to OpenAI API...');
+            logger.info(`Sending ${chunks.length} chunk(s) to ${this.llm.providerName} provider...`);
             const startTime = Date.now();
-            
-            const completion = await this.openai.createChatCompletion({
-                model: "gpt-3.5-turbo",
-                messages: [{
-                    role: "system",
-                    content: "You are a professional HR assistant specialized in parsing resumes. Extract information in a structured format."
-                }, {
-                    role: "user",
-                    content: prompt
-                }],
-                temperature: 0.3,
-                max_tokens: 1000
-            });
+
+            // Sequential on purpose: keeps provider rate limits and local servers happy
+            const usage = { calls: 0, promptTokens: 0, completionTokens: 0, estimatedCost: 0 };
+            const partials = [];
+            for (const [index, chunk] of chunks.entries()) {
+                partials.push(await this.extractFromChunk(chunk, extractAdditionalFields, index, chunks.length, usage, template));
+            }
+
+            const merged = partials.length === 1 ? partials[0] : this.mergePartialResults(partials);
+            const parsedResponse = piiScrubber.restore(merged, scrubbed.placeholders);
+            this.canonicalizeSkills(parsedResponse);
+            parsedResponse.piiScrubbing = {
+                mode: this.piiScrubMode,
+                masked: piiScrubber.summarize(scrubbed.placeholders)
+            };
+            parsedResponse.promptVersion = template.version;
+            parsedResponse.extractionChunks = chunks.length;
+            usage.estimatedCost = parseFloat(usage.estimatedCost.toFixed(6));
+            parsedResponse.llmUsage = usage;
 
             const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
             logger.info(`AI processing completed in ${processingTime} seconds`);
 
-            const response = completion.data.choices[0].message.content;
-            const parsedResponse = this.parseAIResponse(response);
-            
             // Log success metrics
             logger.info('AI Extraction Results:', {
+                chunks: chunks.length,
                 fieldsExtracted: Object.keys(parsedResponse).length,
                 nameFound: !!parsedResponse.name,
-                skillsFound: (parsedResponse.primarySkills?.length || 0) + (parsedResponse.secondarySkills?.length || 0),
+                skillsFound: parsedResponse.primarySkills.length + parsedResponse.secondarySkills.length,
+                tokens: usage.promptTokens + usage.completionTokens,
+                estimatedCost: usage.estimatedCost,
                 processingTime: `${processingTime}s`
             });
 
             return parsedResponse;
 
         } catch (error) {
-            if (error.response) {
-                // OpenAI API error
-                logger.error('OpenAI API Error:', {
-                    status: error.response.status,
-                    message: error.response.data?.error?.message || error.message,
-                    code: error.response.data?.error?.code
+            if (error.status) {
+                // API error returned by the provider
+                logger.error('LLM API Error:', {
+                    status: error.status,
+                    message: error.message,
+                    code: error.code
                 });
-            } else if (error.request) {
-                // Network error
+            } else if (error instanceof OpenAI.APIConnectionError) {
+                // Network error or timeout
                 logger.error('Network Error:', {
-                    message: 'Failed to reach OpenAI API',
+                    message: `Failed to reach ${this.llm.providerName} provider`,
                     error: error.message
                 });
             } else {
                 // Other errors
                 logger.error('AI Extraction Error:', error.message);
             }
-            throw new Error('AI extraction failed: ' + error.message);
+            // Keep the original error so structured details (code, validationErrors) survive
+            error.message = 'AI extraction failed: ' + error.message;
+            throw error;
+        }
+    }
+
+    // One chunk, with repair prompts when the response fails validation
+    // usage is a running total across chunks and repair attempts
+    async extractFromChunk(chunk, extractAdditionalFields, index, total, usage, template) {
+        const prompt = this.generatePrompt(chunk, extractAdditionalFields, index, total, template);
+        let attemptPrompt = prompt;
+
+        for (let attempt = 1; ; attempt++) {
+            const completion = await this.llm.complete({
+                system: "You are a professional HR assistant specialized in parsing resumes. Extract information in a structured format.",
+                prompt: attemptPrompt,
+                temperature: 0.3,
+                maxTokens: 1000,
+                purpose: 'extraction'
+            });
+
+            usage.calls++;
+            usage.promptTokens += completion.usage.promptTokens;
+            usage.completionTokens += completion.usage.completionTokens;
+            usage.estimatedCost += completion.cost;
+
+            try {
+                const parsedResponse = this.parseAIResponse(completion.content, attempt);
+                logger.info(`Chunk ${index + 1}/${total} extracted by ${completion.model} in ${attempt} attempt(s)`);
+                return parsedResponse;
+            } catch (error) {
+                if (error.code !== 'LLM_INVALID_RESPONSE' || attempt > this.maxRepairAttempts) {
+                    throw error;
+                }
+
+                logger.warn(`LLM response invalid (chunk ${index + 1}, attempt ${attempt}), asking for a correction:`, error.validationErrors);
+                attemptPrompt = this.generateRepairPrompt(prompt, completion.content, error.validationErrors);
+            }
         }
     }
 
-    generatePrompt(text, extractAdditionalFields) {
-        const basePrompt = `Please analyze this resume text and extract the following information in a JSON format:
-- Full Name
-- Email
-- Phone Number
-- Years of Experience (numerical value)
-- LinkedIn URL (if available)
-- Primary Skills (top technical skills)
-- Secondary Skills (other relevant skills)
-
-Resume Text:
-${text.substring(0, 3000)} // Limiting text size for token constraints
-
-Please format your response as a valid JSON with these exact keys:
-{
-    "name": "",
-    "email": "",
-    "phone": "",
-    "experience": "",
-    "linkedinUrl": "",
-    "primarySkills": [],
-    "secondarySkills": []
-}`;
-
-        if (extractAdditionalFields) {
-            return basePrompt + `
-Also include these additional fields:
-- Education
-- Current Location
-- Current Role
-- Professional Summary
-- Certifications
-- Languages
-- Notable Projects
-- Companies Worked For
-
-Add these as "additionalFields" in the JSON.`;
+    // Split at section headings so a role or a degree is not cut in half,
+    // then pack whole sections into chunks of at most chunkSize characters
+    splitIntoChunks(text) {
+        if (text.length <= this.chunkSize) {
+            return [text];
+        }
+
+        const sections = resumeSegmenter.segment(text)
+            .map(section => text.substring(section.start, section.end).replace(/\n$/, ''));
+
+        const chunks = [];
+        let chunk = '';
+        const pushPiece = (piece) => {
+            if (chunk && chunk.length + piece.length + 1 > this.chunkSize) {
+                chunks.push(chunk);
+                chunk = '';
+            }
+            chunk = chunk ? `${chunk}\n${piece}` : piece;
+        };
+
+        sections.forEach(section => {
+            if (section.length <= this.chunkSize) {
+                pushPiece(section);
+                return;
+            }
+            // A section longer than a chunk is split on line boundaries
+            section.split('\n').forEach(line => {
+                for (let start = 0; start < Math.max(line.length, 1); start += this.chunkSize) {
+                    pushPiece(line.substring(start, start + this.chunkSize));
+                }
+            });
+        });
+
+        if (chunk.trim()) {
+            chunks.push(chunk);
         }
 
-        return basePrompt;
+        return chunks;
     }
 
-    parseAIResponse(response) {
-        try {
-            logger.info('Parsing AI response');
-            const parsed = JSON.parse(response);
-            
-            // Validation results for logging
-            const validationResults = {
-                name: !!parsed.name,
-                email: !!parsed.email,
-                phone: !!parsed.phone,
-                experience: !!parsed.experience,
-                linkedinUrl: !!parsed.linkedinUrl,
-                primarySkills: Array.isArray(parsed.primarySkills) && parsed.primarySkills.length > 0,
-                secondarySkills: Array.isArray(parsed.secondarySkills) && parsed.secondarySkills.length > 0
-            };
+    // Skill names as the taxonomy spells them ("ReactJS" -> React); a skill listed as both
+    // primary and secondary stays primary
+    canonicalizeSkills(parsed) {
+        parsed.primarySkills = skillTaxonomy.normalizeSkills(parsed.primarySkills);
+        parsed.secondarySkills = skillTaxonomy.normalizeSkills(parsed.secondarySkills)
+            .filter(skill => !parsed.primarySkills.some(primary => skillTaxonomy.sameSkill(primary, skill)));
+    }
+
+    // Contact details come from the first chunk that has them, experience is the
+    // largest figure any chunk reported, and list values are de-duplicated
+    mergePartialResults(partials) {
+        const firstValue = (field) => {
+            const found = partials.find(partial => partial[field]);
+            return found ? found[field] : null;
+        };
+
+        const years = partials
+            .map(partial => parseFloat(partial.experience))
+            .filter(value => !isNaN(value));
+
+        const primarySkills = this.uniqueValues(partials.flatMap(partial => partial.primarySkills));
+        const primaryLower = new Set(primarySkills.map(skill => skill.toLowerCase()));
+        const secondarySkills = this.uniqueValues(partials.flatMap(partial => partial.secondarySkills))
+            .filter(skill => !primaryLower.has(skill.toLowerCase()));
+
+        const additionalParts = partials.map(partial => partial.additionalFields).filter(Boolean);
+
+        return {
+            name: firstValue('name'),
+            email: firstValue('email'),
+            phone: firstValue('phone'),
+            experience: years.length > 0 ? `${Math.max(...years)} years` : null,
+            linkedinUrl: firstValue('linkedinUrl'),
+            primarySkills,
+            secondarySkills,
+            additionalFields: additionalParts.length > 0 ? this.mergeAdditionalFields(additionalParts) : null
+        };
+    }
+
+    mergeAdditionalFields(parts) {
+        const merged = {};
 
-            // Log validation results
-            logger.info('AI Extraction Validation:', {
-                fieldsFound: validationResults,
-                confidenceMetrics: {
-                    totalFieldsFound: Object.values(validationResults).filter(Boolean).length,
-                    percentageComplete: Math.round(
-                        (Object.values(validationResults).filter(Boolean).length / 
-                        Object.keys(validationResults).length) * 100
-                    ) + '%'
+        parts.forEach(part => {
+            Object.entries(part).forEach(([key, value]) => {
+                if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+                    return;
+                }
+
+                const existing = merged[key];
+                if (existing === undefined) {
+                    merged[key] = value;
+                } else if (Array.isArray(existing) || Array.isArray(value) || LIST_FIELD.test(key)) {
+                    // Companies, certifications, projects etc. accumulate across chunks
+                    merged[key] = this.uniqueValues([].concat(existing, value));
                 }
             });
+        });
 
-            // Normalize the response
-            const normalizedResponse = {
-                name: parsed.name || null,
-                email: parsed.email || null,
-                phone: parsed.phone || null,
-                experience: parsed.experience ? parsed.experience + ' years' : null,
-                linkedinUrl: parsed.linkedinUrl || null,
-                primarySkills: Array.isArray(parsed.primarySkills) ? parsed.primarySkills : [],
-                secondarySkills: Array.isArray(parsed.secondarySkills) ? parsed.secondarySkills : [],
-                additionalFields: parsed.additionalFields || null
-            };
+        return merged;
+    }
 
-            // Log any empty or missing fields
-            const missingFields = Object.entries(normalizedResponse)
-                .filter(([key, value]) => !value || (Array.isArray(value) && value.length === 0))
-                .map(([key]) => key);
-            
-            if (missingFields.length > 0) {
-                logger.warn('AI extraction missing fields:', missingFields);
+    // Case-insensitive for strings, structural for objects; keeps first spelling
+    uniqueValues(values) {
+        const seen = new Set();
+        return values.filter(value => {
+            if (value === null || value === undefined || value === '') {
+                return false;
+            }
+            const key = typeof value === 'string' ? value.trim().toLowerCase() : JSON.stringify(value);
+            if (seen.has(key)) {
+                return false;
             }
+            seen.add(key);
+            return true;
+        });
+    }
 
-            return normalizedResponse;
-        } catch (error) {
-            logger.error('Error parsing AI response:', error);
-            return null;
+    // Renders the given (by default the active) prompt template for one chunk
+    generatePrompt(text, extractAdditionalFields, index = 0, total = 1, template = promptTemplates.getActive()) {
+        const partNote = total > 1
+            ? `This is part ${index + 1} of ${total} of a longer resume. Extract only what appears in this part and leave other fields empty.\n\n`
+            : '';
+        const piiNote = this.piiScrubMode !== 'off'
+            ? '\nSome personal details have been replaced with placeholders such as [EMAIL_1] or [PHONE_1]. Copy a placeholder exactly wherever its value belongs.\n'
+            : '';
+
+        return promptTemplates.render(template, { resumeText: text, extractAdditionalFields, partNote, piiNote });
+    }
+
+    // Sent after an invalid response: the original request, what came back and what was wrong with it
+    generateRepairPrompt(prompt, response, validationErrors) {
+        return `${prompt}
+
+Your previous response was:
+${String(response).substring(0, 2000)}
+
+It was rejected for these reasons:
+${validationErrors.map(message => `- ${message}`).join('\n')}
+
+Reply again with only the corrected JSON object, no markdown or commentary.`;
+    }
+
+    // Validates the response against the candidate schema; throws a structured
+    // LLM_INVALID_RESPONSE error instead of returning partial data
+    parseAIResponse(response, attempts = 1) {
+        logger.info('Parsing AI response');
+        const { value: parsed, errors } = llmResponseValidator.validateCandidate(response);
+
+        if (errors) {
+            const error = new Error(`LLM response failed validation: ${errors.join('; ')}`);
+            error.code = 'LLM_INVALID_RESPONSE';
+            error.validationErrors = errors;
+            error.rawResponse = response;
+            error.attempts = attempts;
+            throw error;
         }
+
+        // Validation results for logging
+        const validationResults = {
+            name: !!parsed.name,
+            email: !!parsed.email,
+            phone: !!parsed.phone,
+            experience: !!parsed.experience,
+            linkedinUrl: !!parsed.linkedinUrl,
+            primarySkills: Array.isArray(parsed.primarySkills) && parsed.primarySkills.length > 0,
+            secondarySkills: Array.isArray(parsed.secondarySkills) && parsed.secondarySkills.length > 0
+        };
+
+        // Log validation results
+        logger.info('AI Extraction Validation:', {
+            fieldsFound: validationResults,
+            confidenceMetrics: {
+                totalFieldsFound: Object.values(validationResults).filter(Boolean).length,
+                percentageComplete: Math.round(
+                    (Object.values(validationResults).filter(Boolean).length / 
+                    Object.keys(validationResults).length) * 100
+                ) + '%'
+            }
+        });
+
+        // Normalize the response
+        const normalizedResponse = {
+            name: parsed.name || null,
+            email: parsed.email || null,
+            phone: parsed.phone || null,
+            experience: parsed.experience !== null ? parsed.experience + ' years' : null,
+            linkedinUrl: parsed.linkedinUrl || null,
+            primarySkills: parsed.primarySkills,
+            secondarySkills: parsed.secondarySkills,
+            additionalFields: parsed.additionalFields || null
+        };
+
+        // Log any empty or missing fields
+        const missingFields = Object.entries(normalizedResponse)
+            .filter(([key, value]) => !value || (Array.isArray(value) && value.length === 0))
+            .map(([key]) => key);
+        
+        if (missingFields.length > 0) {
+            logger.warn('AI extraction missing fields:', missingFields);
+        }
+
+        return normalizedResponse;
     }
 }
 
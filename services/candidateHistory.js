@@ -0,0 +1,48 @@
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+
+// Field-level audit trail for manual edits to candidate records.
+// Entries are kept after the candidate itself is deleted.
+class CandidateHistoryService {
+  constructor() {
+    this.entries = dataStore.collection('candidateHistory');
+  }
+
+  isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // Returns [{ field, oldValue, newValue }] for the fields that actually change
+  diff(candidate, changes) {
+    return Object.entries(changes)
+      .filter(([field, value]) => !this.isEqual(candidate[field], value))
+      .map(([field, value]) => ({
+        field,
+        oldValue: candidate[field] === undefined ? null : candidate[field],
+        newValue: value
+      }));
+  }
+
+  record(candidateId, fieldChanges, changedBy, action = 'update') {
+    const changedAt = new Date().toISOString();
+
+    return this.entries.insertMany(fieldChanges.map(change => ({
+      id: uuidv4(),
+      candidateId,
+      action,
+      field: change.field,
+      oldValue: change.oldValue,
+      newValue: change.newValue,
+      changedBy,
+      changedAt
+    })));
+  }
+
+  getHistory(candidateId) {
+    return this.entries
+      .find(entry => entry.candidateId === candidateId)
+      .sort((a, b) => a.changedAt.localeCompare(b.changedAt));
+  }
+}
+
+module.exports = new CandidateHistoryService();
@@ -0,0 +1,235 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('../utils/logger');
+const migrations = require('./migrations');
+
+// In-memory driver - nothing survives a restart (useful for tests and demos)
+class MemoryDriver {
+  load() {
+    return null;
+  }
+
+  save() {}
+}
+
+// JSON file driver - the whole document is rewritten atomically on every save
+class FileDriver {
+  constructor(options) {
+    this.filePath = path.join(options.dataDir, 'store.json');
+  }
+
+  load() {
+    if (!fs.pathExistsSync(this.filePath)) {
+      return null;
+    }
+    return fs.readJsonSync(this.filePath);
+  }
+
+  save(document) {
+    fs.ensureDirSync(path.dirname(this.filePath));
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeJsonSync(tempPath, document);
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+class Collection {
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+  }
+
+  records() {
+    const { collections } = this.store.getDocument();
+    if (!collections[this.name]) {
+      collections[this.name] = [];
+    }
+    return collections[this.name];
+  }
+
+  all() {
+    return [...this.records()];
+  }
+
+  count() {
+    return this.records().length;
+  }
+
+  findById(id) {
+    return this.records().find(record => record.id === id);
+  }
+
+  find(predicate) {
+    return this.records().filter(predicate);
+  }
+
+  insert(record) {
+    this.records().push(record);
+    this.store.persist();
+    return record;
+  }
+
+  insertMany(records) {
+    this.records().push(...records);
+    this.store.persist();
+    return records;
+  }
+
+  update(id, changes) {
+    const record = this.findById(id);
+    if (!record) {
+      return null;
+    }
+
+    Object.assign(record, changes);
+    this.store.persist();
+    return record;
+  }
+
+  remove(id) {
+    const records = this.records();
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) {
+      return null;
+    }
+
+    const [removed] = records.splice(index, 1);
+    this.store.persist();
+    return removed;
+  }
+
+  // Removes every matching record with a single write; returns the removed records
+  removeWhere(predicate) {
+    const { collections } = this.store.getDocument();
+    const removed = this.records().filter(predicate);
+    if (removed.length === 0) {
+      return removed;
+    }
+
+    collections[this.name] = this.records().filter(record => !predicate(record));
+    this.store.persist();
+    return removed;
+  }
+
+  clear() {
+    const { collections } = this.store.getDocument();
+    const count = this.count();
+    collections[this.name] = [];
+    this.store.persist();
+    return count;
+  }
+}
+
+class DataStore {
+  constructor() {
+    this.drivers = {
+      memory: MemoryDriver,
+      file: FileDriver
+    };
+    this.driverName = process.env.DATA_STORE || 'file';
+    this.dataDir = process.env.DATA_DIR || 'data';
+    // Writes are batched: changes within this many milliseconds go out in one save
+    this.flushDelayMs = parseInt(process.env.DATA_STORE_FLUSH_MS || '500');
+    this.driver = null;
+    this.document = null;
+    this.dirty = false;
+    this.flushTimer = null;
+    this.exitHandler = null;
+    this.collections = new Map();
+  }
+
+  // Register an alternative persistence driver (e.g. SQLite) before first use
+  registerDriver(name, DriverClass) {
+    this.drivers[name] = DriverClass;
+  }
+
+  getDocument() {
+    if (!this.document) {
+      this.load();
+    }
+    return this.document;
+  }
+
+  load() {
+    // Pending changes belong to the document being replaced
+    this.flush();
+
+    const DriverClass = this.drivers[this.driverName];
+    if (!DriverClass) {
+      throw new Error(`Unknown data store driver: ${this.driverName}`);
+    }
+
+    this.driver = new DriverClass({ dataDir: this.dataDir });
+    this.document = this.driver.load() || { schemaVersion: 0, collections: {} };
+    this.document.collections = this.document.collections || {};
+
+    const applied = this.migrate(this.document);
+    if (applied > 0) {
+      this.persist();
+      this.flush();
+    }
+
+    logger.info(`Data store loaded (${this.driverName}, schema v${this.document.schemaVersion})`);
+  }
+
+  migrate(document) {
+    const pending = migrations
+      .filter(migration => migration.version > (document.schemaVersion || 0))
+      .sort((a, b) => a.version - b.version);
+
+    for (const migration of pending) {
+      logger.info(`Applying data store migration ${migration.version}: ${migration.description}`);
+      migration.up(document);
+      document.schemaVersion = migration.version;
+    }
+
+    return pending.length;
+  }
+
+  // Marks the document changed; the first change schedules a save, and every change made
+  // before it runs is written with it (an upload would otherwise rewrite the store per record)
+  persist() {
+    this.document.updatedAt = new Date().toISOString();
+    this.dirty = true;
+
+    if (this.flushDelayMs <= 0) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      if (!this.exitHandler) {
+        // Whatever is still pending when the process exits is written synchronously
+        this.exitHandler = () => this.flush();
+        process.on('exit', this.exitHandler);
+      }
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+      // A pending save does not keep the process alive; the exit handler writes it
+      this.flushTimer.unref();
+    }
+  }
+
+  // Writes pending changes now
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.dirty || !this.driver) {
+      return;
+    }
+
+    this.dirty = false;
+    try {
+      this.driver.save(this.document);
+    } catch (error) {
+      // Kept dirty so the next change or flush tries again
+      this.dirty = true;
+      logger.error('Failed to save data store:', error);
+    }
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Collection(this, name));
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = new DataStore();
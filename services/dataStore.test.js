@@ -0,0 +1,105 @@
+process.env.DATA_STORE = 'memory';
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const dataStore = require('./dataStore');
+const migrations = require('./migrations');
+
+const latestVersion = Math.max(...migrations.map(migration => migration.version));
+
+describe('dataStore collections', () => {
+  const things = dataStore.collection('things');
+
+  beforeEach(() => {
+    things.clear();
+  });
+
+  test('insert, find, update and remove', () => {
+    things.insertMany([{ id: 'a', size: 1 }, { id: 'b', size: 2 }, { id: 'c', size: 3 }]);
+
+    expect(things.findById('b')).toEqual({ id: 'b', size: 2 });
+    expect(things.find(thing => thing.size > 1).map(thing => thing.id)).toEqual(['b', 'c']);
+    expect(things.update('b', { size: 20 })).toEqual({ id: 'b', size: 20 });
+    expect(things.update('missing', { size: 0 })).toBeNull();
+    expect(things.remove('a')).toEqual({ id: 'a', size: 1 });
+    expect(things.remove('a')).toBeNull();
+    expect(things.count()).toBe(2);
+  });
+
+  test('removeWhere returns what it removed', () => {
+    things.insertMany([{ id: 'a', size: 1 }, { id: 'b', size: 2 }, { id: 'c', size: 3 }]);
+
+    expect(things.removeWhere(thing => thing.size < 3).map(thing => thing.id)).toEqual(['a', 'b']);
+    expect(things.all()).toEqual([{ id: 'c', size: 3 }]);
+  });
+
+  test('all() is a copy', () => {
+    things.insert({ id: 'a' });
+    things.all().pop();
+    expect(things.count()).toBe(1);
+  });
+});
+
+describe('dataStore migrations', () => {
+  test('a new document is migrated to the latest version', () => {
+    const document = { schemaVersion: 0, collections: {} };
+
+    expect(dataStore.migrate(document)).toBe(migrations.length);
+    expect(document.schemaVersion).toBe(latestVersion);
+    expect(document.collections.candidates).toEqual([]);
+  });
+
+  test('only pending migrations run', () => {
+    const document = { schemaVersion: latestVersion, collections: { candidates: [] } };
+    expect(dataStore.migrate(document)).toBe(0);
+  });
+});
+
+describe('dataStore file driver', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'));
+    Object.assign(dataStore, { driverName: 'file', dataDir });
+  });
+
+  afterEach(() => {
+    Object.assign(dataStore, { driverName: 'memory' });
+    dataStore.load();
+    fs.removeSync(dataDir);
+  });
+
+  test('records survive a reload', () => {
+    dataStore.load();
+    dataStore.collection('things').insert({ id: 'kept' });
+    dataStore.flush();
+
+    dataStore.load();
+    expect(dataStore.collection('things').findById('kept')).toEqual({ id: 'kept' });
+    expect(fs.readJsonSync(path.join(dataDir, 'store.json')).schemaVersion).toBe(latestVersion);
+  });
+
+  test('changes are batched into one write', () => {
+    dataStore.load();
+    const save = jest.spyOn(dataStore.driver, 'save');
+
+    const things = dataStore.collection('things');
+    things.insert({ id: 'a' });
+    things.update('a', { size: 1 });
+    things.insert({ id: 'b' });
+    expect(save).not.toHaveBeenCalled();
+
+    dataStore.flush();
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(fs.readJsonSync(path.join(dataDir, 'store.json')).collections.things).toEqual([{ id: 'a', size: 1 }, { id: 'b' }]);
+  });
+
+  test('reloading writes pending changes first', () => {
+    dataStore.load();
+    dataStore.collection('things').insert({ id: 'pending' });
+
+    dataStore.load();
+    expect(dataStore.collection('things').findById('pending')).toEqual({ id: 'pending' });
+  });
+});
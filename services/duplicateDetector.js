@@ -0,0 +1,239 @@
+const natural = require('natural');
+const dataStore = require('./dataStore');
+const searchIndex = require('./searchIndex');
+const skillTaxonomy = require('./skillTaxonomy');
+const fieldProvenance = require('./fieldProvenance');
+const logger = require('../utils/logger');
+const experienceCalculator = require('../utils/experienceCalculator');
+const placeholders = require('../utils/placeholders');
+
+// Signals and the weight each contributes to the duplicate score
+const SIGNAL_WEIGHTS = {
+  fileHash: 1.0,
+  email: 0.9,
+  phone: 0.8,
+  name: 0.5
+};
+
+class DuplicateDetectorService {
+  constructor() {
+    this.candidates = dataStore.collection('candidates');
+    this.nameSimilarityThreshold = 0.92;
+    this.minScore = 0.4;
+    this.scalarFields = ['name', 'email', 'phone', 'experience', 'linkedinUrl'];
+  }
+
+  normalizeEmail(email) {
+    if (!email) return null;
+
+    const [local, domain] = email.trim().toLowerCase().split('@');
+    if (!local || !domain) return null;
+
+    let normalizedLocal = local.split('+')[0];
+    if (domain === 'gmail.com' || domain === 'googlemail.com') {
+      normalizedLocal = normalizedLocal.replace(/\./g, '');
+    }
+    return `${normalizedLocal}@${domain}`;
+  }
+
+  // Compare on the last 10 digits so +91 / 0 prefixes do not matter
+  normalizePhone(phone) {
+    if (!phone) return null;
+
+    const digits = phone.replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : null;
+  }
+
+  normalizeName(name) {
+    if (placeholders.isEmpty(name)) return null;
+
+    return name
+      .toLowerCase()
+      .replace(/[^a-z\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .sort()
+      .join(' ');
+  }
+
+  isEmpty(value) {
+    return placeholders.isEmpty(value);
+  }
+
+  compareCandidates(candidate, other) {
+    const reasons = [];
+
+    if (candidate.fileHash && candidate.fileHash === other.fileHash) {
+      reasons.push({ signal: 'fileHash', value: candidate.fileHash });
+    }
+
+    const email = this.normalizeEmail(candidate.email);
+    if (email && email === this.normalizeEmail(other.email)) {
+      reasons.push({ signal: 'email', value: email });
+    }
+
+    const phone = this.normalizePhone(candidate.phone);
+    if (phone && phone === this.normalizePhone(other.phone)) {
+      reasons.push({ signal: 'phone', value: phone });
+    }
+
+    const name = this.normalizeName(candidate.name);
+    const otherName = this.normalizeName(other.name);
+    if (name && otherName) {
+      const similarity = natural.JaroWinklerDistance(name, otherName);
+      if (similarity >= this.nameSimilarityThreshold) {
+        reasons.push({ signal: 'name', value: other.name, similarity: parseFloat(similarity.toFixed(3)) });
+      }
+    }
+
+    // Independent signals combine as 1 - product of (1 - weight)
+    const score = 1 - reasons.reduce((remaining, reason) => remaining * (1 - SIGNAL_WEIGHTS[reason.signal]), 1);
+
+    return { score: parseFloat(score.toFixed(3)), reasons };
+  }
+
+  findDuplicates(id) {
+    const candidate = this.candidates.findById(id);
+    if (!candidate) {
+      return null;
+    }
+
+    return this.candidates
+      .find(other => other.id !== id)
+      .map(other => ({
+        candidateId: other.id,
+        name: other.name,
+        originalFileName: other.originalFileName,
+        sourceEml: other.sourceEml || null,
+        ...this.compareCandidates(candidate, other)
+      }))
+      .filter(match => match.score >= this.minScore)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  getSourceFiles(candidate) {
+    if (Array.isArray(candidate.sourceFiles) && candidate.sourceFiles.length > 0) {
+      return candidate.sourceFiles;
+    }
+
+    return [{
+      candidateId: candidate.id,
+      filePath: candidate.filePath,
+      originalFileName: candidate.originalFileName,
+      fileHash: candidate.fileHash || null,
+      sourceEml: candidate.sourceEml || null,
+      processedAt: candidate.processedAt
+    }];
+  }
+
+  // A value taken from a duplicate keeps the confidence and span it had there (the span is
+  // in that duplicate's resume, recorded as sourceCandidateId)
+  mergeProvenance(primary, donors) {
+    const provenance = { ...(primary.fieldProvenance || {}) };
+
+    Object.entries(donors).forEach(([field, donor]) => {
+      const entry = (donor.fieldProvenance || {})[field];
+      if (entry) {
+        provenance[field] = { ...entry, sourceCandidateId: donor.id };
+      } else {
+        delete provenance[field];
+      }
+    });
+
+    return {
+      fieldProvenance: provenance,
+      lowConfidenceFields: fieldProvenance.getLowConfidenceFields(provenance)
+    };
+  }
+
+  // Canonical names, so React on one record and ReactJS on another are kept once
+  mergeSkills(...lists) {
+    return skillTaxonomy.normalizeSkills(lists.flat());
+  }
+
+  // Merge duplicates into the primary record. Missing primary values are filled
+  // from the duplicates in the order given; every decision is recorded.
+  mergeCandidates(primaryId, duplicateIds) {
+    const primary = this.candidates.findById(primaryId);
+    const missingIds = [primaryId, ...duplicateIds].filter(id => !this.candidates.findById(id));
+    if (!primary || missingIds.length > 0) {
+      const error = new Error(`Candidate not found: ${missingIds.join(', ')}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const duplicates = duplicateIds.map(id => this.candidates.findById(id));
+    const resolutions = [];
+    const changes = {};
+    // Field -> the duplicate its value was taken from
+    const donors = {};
+
+    this.scalarFields.forEach(field => {
+      const alternatives = duplicates
+        .filter(duplicate => !this.isEmpty(duplicate[field]) && duplicate[field] !== primary[field])
+        .map(duplicate => ({ candidateId: duplicate.id, value: duplicate[field] }));
+
+      if (alternatives.length === 0) return;
+
+      if (this.isEmpty(primary[field])) {
+        const [winner, ...others] = alternatives;
+        const rejected = others.filter(alternative => alternative.value !== winner.value);
+        changes[field] = winner.value;
+        donors[field] = duplicates.find(duplicate => duplicate.id === winner.candidateId);
+        resolutions.push({ field, value: winner.value, source: winner.candidateId, rejected });
+      } else {
+        resolutions.push({ field, value: primary[field], source: primary.id, rejected: alternatives });
+      }
+    });
+
+    // An experience value taken from a duplicate feeds into the computed total
+    if (changes.experience !== undefined) {
+      Object.assign(changes, experienceCalculator.assess({ ...primary, ...changes }));
+    }
+
+    changes.primarySkills = this.mergeSkills(primary.primarySkills || [], ...duplicates.map(d => d.primarySkills || []));
+    changes.secondarySkills = this.mergeSkills(primary.secondarySkills || [], ...duplicates.map(d => d.secondarySkills || []));
+
+    const additionalFields = { ...(primary.additionalFields || {}) };
+    duplicates.forEach(duplicate => {
+      Object.entries(duplicate.additionalFields || {}).forEach(([key, value]) => {
+        if (this.isEmpty(additionalFields[key]) && !this.isEmpty(value)) {
+          additionalFields[key] = value;
+          donors[`additionalFields.${key}`] = duplicate;
+          resolutions.push({ field: `additionalFields.${key}`, value, source: duplicate.id, rejected: [] });
+        }
+      });
+    });
+    if (Object.keys(additionalFields).length > 0) {
+      changes.additionalFields = additionalFields;
+    }
+
+    if (Object.keys(donors).length > 0) {
+      Object.assign(changes, this.mergeProvenance(primary, donors));
+    }
+
+    // Keep every source file; none are deleted on merge
+    changes.sourceFiles = [primary, ...duplicates].flatMap(candidate => this.getSourceFiles(candidate));
+
+    changes.mergeHistory = [
+      ...(primary.mergeHistory || []),
+      {
+        mergedAt: new Date().toISOString(),
+        mergedIds: duplicateIds,
+        resolutions
+      }
+    ];
+
+    duplicateIds.forEach(id => {
+      this.candidates.remove(id);
+      searchIndex.removeCandidate(id);
+    });
+
+    const merged = this.candidates.update(primaryId, changes);
+    logger.info(`Merged ${duplicateIds.length} duplicate(s) into candidate ${primaryId}`);
+
+    return { candidate: merged, resolutions };
+  }
+}
+
+module.exports = new DuplicateDetectorService();
@@ -0,0 +1,109 @@
+process.env.DATA_STORE = 'memory';
+
+const dataStore = require('./dataStore');
+const duplicateDetector = require('./duplicateDetector');
+
+const candidates = dataStore.collection('candidates');
+
+describe('duplicateDetector.compareCandidates', () => {
+  test('email, phone and name are compared in normalized form', () => {
+    const result = duplicateDetector.compareCandidates(
+      { name: 'Jane Doe', email: 'Jane.Doe+jobs@gmail.com', phone: '+91 98765 43210' },
+      { name: 'Doe, Jane', email: 'janedoe@gmail.com', phone: '098765-43210' }
+    );
+
+    expect(result.reasons).toEqual([
+      { signal: 'email', value: 'janedoe@gmail.com' },
+      { signal: 'phone', value: '9876543210' },
+      { signal: 'name', value: 'Doe, Jane', similarity: 1 }
+    ]);
+    // 1 - (1 - 0.9) * (1 - 0.8) * (1 - 0.5)
+    expect(result.score).toBe(0.99);
+  });
+
+  test('dots are only ignored in Gmail addresses', () => {
+    const result = duplicateDetector.compareCandidates({ email: 'jane.doe@acme.com' }, { email: 'janedoe@acme.com' });
+    expect(result).toEqual({ score: 0, reasons: [] });
+  });
+
+  test('a near-identical name is a weak signal on its own', () => {
+    const result = duplicateDetector.compareCandidates({ name: 'Priya Sharma' }, { name: 'Priya Sharmaa' });
+    expect(result.reasons.map(reason => reason.signal)).toEqual(['name']);
+    expect(result.score).toBe(0.5);
+  });
+
+  test('the same file is a certain match', () => {
+    expect(duplicateDetector.compareCandidates({ fileHash: 'abc' }, { fileHash: 'abc' }).score).toBe(1);
+  });
+
+  test('placeholder names never match', () => {
+    expect(duplicateDetector.compareCandidates({ name: 'Name Not Found' }, { name: 'Name Not Found' }).reasons).toEqual([]);
+  });
+});
+
+describe('duplicateDetector.mergeCandidates', () => {
+  beforeEach(() => {
+    candidates.clear();
+    [
+      {
+        id: 'primary',
+        name: 'Jane Doe',
+        email: 'jane@example.com',
+        phone: null,
+        experience: '5',
+        primarySkills: ['React'],
+        secondarySkills: ['Git'],
+        fieldProvenance: { name: { engine: 'llm', confidence: 0.9 }, email: { engine: 'regex', confidence: 0.95 } },
+        filePath: 'uploads/jane.pdf',
+        originalFileName: 'jane.pdf',
+        processedAt: '2024-01-01T00:00:00.000Z'
+      },
+      {
+        id: 'duplicate',
+        name: 'Jane Doe',
+        email: 'jane.doe@work.example',
+        phone: '+1 555 010 0199',
+        experience: '5',
+        primarySkills: ['React', 'Node.js'],
+        secondarySkills: [],
+        additionalFields: { location: 'Pune' },
+        fieldProvenance: { phone: { engine: 'regex', confidence: 0.4 } },
+        filePath: 'uploads/jane-2.pdf',
+        originalFileName: 'jane-2.pdf',
+        processedAt: '2024-02-01T00:00:00.000Z'
+      }
+    ].forEach(candidate => candidates.insert(candidate));
+  });
+
+  test('missing values are filled from the duplicate and every decision is recorded', () => {
+    const { candidate, resolutions } = duplicateDetector.mergeCandidates('primary', ['duplicate']);
+
+    expect(resolutions).toEqual([
+      { field: 'email', value: 'jane@example.com', source: 'primary', rejected: [{ candidateId: 'duplicate', value: 'jane.doe@work.example' }] },
+      { field: 'phone', value: '+1 555 010 0199', source: 'duplicate', rejected: [] },
+      { field: 'additionalFields.location', value: 'Pune', source: 'duplicate', rejected: [] }
+    ]);
+    expect(candidate).toMatchObject({
+      email: 'jane@example.com',
+      phone: '+1 555 010 0199',
+      primarySkills: ['React', 'Node.js'],
+      additionalFields: { location: 'Pune' }
+    });
+    expect(candidate.sourceFiles.map(file => file.originalFileName)).toEqual(['jane.pdf', 'jane-2.pdf']);
+    expect(candidates.findById('duplicate')).toBeUndefined();
+  });
+
+  test('a value taken from the duplicate keeps its provenance', () => {
+    const { candidate } = duplicateDetector.mergeCandidates('primary', ['duplicate']);
+
+    expect(candidate.fieldProvenance.phone).toEqual({ engine: 'regex', confidence: 0.4, sourceCandidateId: 'duplicate' });
+    expect(candidate.fieldProvenance.email).toEqual({ engine: 'regex', confidence: 0.95 });
+    expect(candidate.lowConfidenceFields).toEqual(['phone']);
+  });
+
+  test('unknown ids are a 404 and nothing is merged', () => {
+    expect(() => duplicateDetector.mergeCandidates('primary', ['missing']))
+      .toThrow(expect.objectContaining({ message: 'Candidate not found: missing', status: 404 }));
+    expect(candidates.count()).toBe(2);
+  });
+});
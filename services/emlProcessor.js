@@ -10,7 +10,7 @@ class EmlProcessorService {
     this.supportedAttachmentTypes = ['.pdf', '.docx', '.doc'];
   }
 
-  async processEmlFile(emlFilePath, originalName, extractAdditionalFields = false, processSubfolders = true) {
+  async processEmlFile(emlFilePath, originalName, extractAdditionalFields = false, processSubfolders = true, extractionEngine = null) {
     try {
       logger.info(`Processing EML file: ${originalName}`);
 
@@ -50,7 +50,8 @@ class EmlProcessorService {
             attachment, 
             i, 
             originalName, 
-            extractAdditionalFields
+            extractAdditionalFields,
+            extractionEngine
           );
 
           if (processedAttachment) {
@@ -80,7 +81,7 @@ class EmlProcessorService {
     }
   }
 
-  async processAttachment(attachment, index, emlFileName, extractAdditionalFields) {
+  async processAttachment(attachment, index, emlFileName, extractAdditionalFields, extractionEngine = null) {
     try {
       const filename = attachment.filename || `attachment_${index}`;
       const fileExtension = path.extname(filename).toLowerCase();
@@ -111,17 +112,21 @@ class EmlProcessorService {
 
       try {
         // Process the attachment as a resume
+        // EML source information is stored along with the candidate record
         const candidateData = await resumeParserService.parseResume(
           tempFilePath, 
           filename, 
-          extractAdditionalFields
+          extractAdditionalFields,
+          {
+            engine: extractionEngine,
+            metadata: {
+              sourceEml: emlFileName,
+              attachmentIndex: index,
+              extractedFromEmail: true
+            }
+          }
         );
 
-        // Add EML source information
-        candidateData.sourceEml = emlFileName;
-        candidateData.attachmentIndex = index;
-        candidateData.extractedFromEmail = true;
-
         return {
           info: {
             filename: filename,
@@ -158,7 +163,7 @@ class EmlProcessorService {
     }
   }
 
-  async processEmlFolder(folderPath, extractAdditionalFields = false, processSubfolders = true) {
+  async processEmlFolder(folderPath, extractAdditionalFields = false, processSubfolders = true, extractionEngine = null) {
     try {
       logger.info(`Processing EML folder: ${folderPath}`);
 
@@ -181,7 +186,9 @@ class EmlProcessorService {
           const result = await this.processEmlFile(
             emlFile.path, 
             emlFile.name, 
-            extractAdditionalFields
+            extractAdditionalFields,
+            processSubfolders,
+            extractionEngine
           );
 
           results.processedFiles++;
@@ -2,6 +2,27 @@ const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs-extra');
 const logger = require('../utils/logger');
+const pipelineService = require('./pipeline');
+const skillTaxonomy = require('./skillTaxonomy');
+const workHistoryExtractor = require('../utils/workHistoryExtractor');
+const experienceCalculator = require('../utils/experienceCalculator');
+
+// Provenance field name -> report column key, for highlighting low-confidence cells
+const REVIEW_COLUMNS = {
+  name: 'name',
+  email: 'email',
+  phone: 'phone',
+  experience: 'experience',
+  linkedinUrl: 'linkedinUrl',
+  primarySkills: 'primarySkills',
+  secondarySkills: 'secondarySkills',
+  'additionalFields.education': 'education',
+  'additionalFields.location': 'location',
+  'additionalFields.currentRole': 'currentRole',
+  'additionalFields.summary': 'summary',
+  'additionalFields.certifications': 'certifications',
+  'additionalFields.languages': 'languages'
+};
 
 class ExcelGeneratorService {
   constructor() {
@@ -37,6 +58,8 @@ class ExcelGeneratorService {
         { header: 'LinkedIn URL', key: 'linkedinUrl', width: 30 },
         { header: 'Primary Skills', key: 'primarySkills', width: 25 },
         { header: 'Secondary Skills', key: 'secondarySkills', width: 25 },
+        { header: 'Stage', key: 'stage', width: 14 },
+        { header: 'Needs Review', key: 'needsReview', width: 25 },
         { header: 'Original File', key: 'originalFileName', width: 20 },
         { header: 'Processed Date', key: 'processedAt', width: 18 }
       ];
@@ -83,6 +106,8 @@ class ExcelGeneratorService {
           secondarySkills: Array.isArray(candidate.secondarySkills) 
             ? candidate.secondarySkills.join(', ') 
             : candidate.secondarySkills || 'N/A',
+          stage: candidate.stage || 'N/A',
+          needsReview: (candidate.lowConfidenceFields || []).join(', '),
           originalFileName: candidate.originalFileName || 'N/A',
           processedAt: candidate.processedAt ? new Date(candidate.processedAt).toLocaleDateString() : 'N/A'
         };
@@ -121,6 +146,8 @@ class ExcelGeneratorService {
           };
         }
 
+        this.flagLowConfidenceCells(row, candidate, hasAdditionalFields);
+
         // Hyperlink for LinkedIn URLs
         if (candidate.linkedinUrl && candidate.linkedinUrl !== 'N/A') {
           const cell = row.getCell('linkedinUrl');
@@ -132,7 +159,8 @@ class ExcelGeneratorService {
         }
       });
 
-      // Add statistics worksheet
+      // Add work history and statistics worksheets
+      this.addWorkHistoryWorksheet(workbook, candidates);
       await this.addStatisticsWorksheet(workbook, candidates);
 
       // Add borders to all cells
@@ -172,19 +200,93 @@ class ExcelGeneratorService {
     }
   }
 
+  // Low-confidence values get an amber fill and a note with the confidence and engine
+  flagLowConfidenceCells(row, candidate, hasAdditionalFields) {
+    (candidate.lowConfidenceFields || []).forEach(field => {
+      const key = REVIEW_COLUMNS[field];
+      if (!key || (!hasAdditionalFields && field.startsWith('additionalFields.'))) {
+        return;
+      }
+
+      const provenance = candidate.fieldProvenance[field];
+      const cell = row.getCell(key);
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE699' }
+      };
+      cell.note = `Low confidence (${provenance.confidence}, ${provenance.engine}) - please review` +
+        (provenance.line ? `\nFound on line ${provenance.line}` : '\nNot found in resume text');
+    });
+  }
+
+  // One row per role, so employers and titles can be filtered across candidates
+  addWorkHistoryWorksheet(workbook, candidates) {
+    const worksheet = workbook.addWorksheet('Work History');
+
+    worksheet.columns = [
+      { header: 'Candidate ID', key: 'candidateId', width: 12 },
+      { header: 'Name', key: 'name', width: 20 },
+      { header: 'Company', key: 'company', width: 25 },
+      { header: 'Title', key: 'title', width: 25 },
+      { header: 'Location', key: 'location', width: 15 },
+      { header: 'Start', key: 'startMonth', width: 10 },
+      { header: 'End', key: 'endMonth', width: 10 },
+      { header: 'Period', key: 'period', width: 20 },
+      { header: 'Responsibilities', key: 'bullets', width: 60 }
+    ];
+
+    const headerRow = worksheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFF' } };
+    headerRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: '366092' }
+    };
+    headerRow.alignment = { horizontal: 'center', vertical: 'middle' };
+    headerRow.height = 25;
+
+    candidates.forEach(candidate => {
+      (candidate.workHistory || []).forEach(entry => {
+        const row = worksheet.addRow({
+          candidateId: candidate.id,
+          name: candidate.name || 'N/A',
+          company: entry.company || 'N/A',
+          title: entry.title || 'N/A',
+          location: entry.location || 'N/A',
+          startMonth: entry.startMonth,
+          endMonth: entry.isCurrent ? 'Present' : entry.endMonth || 'N/A',
+          period: workHistoryExtractor.formatPeriod(entry),
+          bullets: entry.bullets.join('\n')
+        });
+        row.getCell('bullets').alignment = { wrapText: true, vertical: 'top' };
+      });
+    });
+
+    worksheet.eachRow(row => {
+      row.eachCell(cell => {
+        cell.border = {
+          top: { style: 'thin' },
+          left: { style: 'thin' },
+          bottom: { style: 'thin' },
+          right: { style: 'thin' }
+        };
+      });
+    });
+  }
+
   async addStatisticsWorksheet(workbook, candidates) {
     const statsWorksheet = workbook.addWorksheet('Statistics');
 
     // Calculate statistics
     const totalCandidates = candidates.length;
     let totalExperience = 0;
-    const skillsCount = {};
     const experienceDistribution = { '0-2': 0, '3-5': 0, '6-10': 0, '10+': 0 };
     let linkedinProfilesCount = 0;
 
     candidates.forEach(candidate => {
       // Experience calculation
-      const exp = parseInt(candidate.experience) || 0;
+      const exp = experienceCalculator.yearsOf(candidate);
       totalExperience += exp;
 
       // Experience distribution
@@ -197,18 +299,11 @@ class ExcelGeneratorService {
       if (candidate.linkedinUrl && candidate.linkedinUrl !== 'N/A') {
         linkedinProfilesCount++;
       }
-
-      // Skills counting
-      const allSkills = [
-        ...(candidate.primarySkills || []),
-        ...(candidate.secondarySkills || [])
-      ];
-
-      allSkills.forEach(skill => {
-        skillsCount[skill] = (skillsCount[skill] || 0) + 1;
-      });
     });
 
+    // Skills counting, by canonical taxonomy name and by category
+    const skillCounts = skillTaxonomy.countSkills(candidates);
+
     const avgExperience = totalCandidates > 0 ? (totalExperience / totalCandidates).toFixed(1) : 0;
 
     // Add statistics data
@@ -224,11 +319,17 @@ class ExcelGeneratorService {
       ['6-10 years', experienceDistribution['6-10']],
       ['10+ years', experienceDistribution['10+']],
       [''],
+      ['Pipeline Stages', 'Count'],
+      ...Object.entries(pipelineService.countByStage(candidates)),
+      [''],
+      ['Skill Categories', 'Candidates'],
+      ...Object.entries(skillCounts.categories).sort(([,a], [,b]) => b - a),
+      [''],
       ['Top Skills', 'Count']
     ];
 
     // Add top skills
-    const topSkills = Object.entries(skillsCount)
+    const topSkills = Object.entries(skillCounts.skills)
       .sort(([,a], [,b]) => b - a)
       .slice(0, 10);
 
@@ -247,7 +348,7 @@ class ExcelGeneratorService {
       const row = statsWorksheet.addRow({ metric, value });
 
       // Style headers
-      if (metric === 'Metric' || metric === 'Experience Distribution' || metric === 'Top Skills') {
+      if (['Metric', 'Experience Distribution', 'Pipeline Stages', 'Skill Categories', 'Top Skills'].includes(metric)) {
         row.font = { bold: true };
         row.fill = {
           type: 'pattern',
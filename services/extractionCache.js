@@ -0,0 +1,132 @@
+const dataStore = require('./dataStore');
+const logger = require('../utils/logger');
+
+// Content-addressed cache for resume text and extraction results. Entries are keyed
+// by the file's SHA-256 plus the version of whatever produced them, so a new prompt,
+// model or extractor version simply misses and old entries age out.
+class ExtractionCacheService {
+  constructor() {
+    this.entries = dataStore.collection('extractionCache');
+    this.enabled = process.env.EXTRACTION_CACHE !== 'off';
+    this.maxEntries = parseInt(process.env.EXTRACTION_CACHE_MAX_ENTRIES || '1000');
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  buildKey(kind, fileHash, version, variant = null) {
+    return [kind, fileHash, version, variant].filter(part => part !== null && part !== undefined).join(':');
+  }
+
+  // Returns a copy of the cached value, or null on a miss
+  get(kind, fileHash, version, variant = null) {
+    if (!this.enabled || !fileHash) {
+      return null;
+    }
+
+    const key = this.buildKey(kind, fileHash, version, variant);
+    const entry = this.entries.findById(key);
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    this.stats.hits++;
+    // Updated in memory only: rewriting the store on every read would cost more than the cache
+    // saves. The counters are written with the next change to the store (usually the candidate
+    // being saved right after this hit) and are lost only if the process stops before that.
+    entry.hits += 1;
+    entry.lastHitAt = new Date().toISOString();
+    logger.info(`Extraction cache hit: ${kind} (${version}) for ${fileHash.substring(0, 12)}`);
+    return JSON.parse(JSON.stringify(entry.value));
+  }
+
+  set(kind, fileHash, version, value, variant = null) {
+    if (!this.enabled || !fileHash) {
+      return;
+    }
+
+    const key = this.buildKey(kind, fileHash, version, variant);
+    this.entries.remove(key);
+    this.entries.insert({
+      id: key,
+      kind,
+      fileHash,
+      version,
+      variant,
+      value: JSON.parse(JSON.stringify(value)),
+      size: JSON.stringify(value).length,
+      hits: 0,
+      createdAt: new Date().toISOString(),
+      lastHitAt: null
+    });
+
+    this.evict();
+  }
+
+  // Drops the least recently used entries once the cache is over its limit
+  evict() {
+    const overflow = this.entries.count() - this.maxEntries;
+    if (overflow <= 0) {
+      return;
+    }
+
+    const lastUsed = entry => entry.lastHitAt || entry.createdAt;
+    const stale = new Set(
+      this.entries.all()
+        .sort((a, b) => lastUsed(a).localeCompare(lastUsed(b)))
+        .slice(0, overflow)
+        .map(entry => entry.id)
+    );
+
+    this.entries.removeWhere(entry => stale.has(entry.id));
+    logger.info(`Evicted ${stale.size} extraction cache entries`);
+  }
+
+  matches(entry, { kind, fileHash, version, olderThan } = {}) {
+    return (!kind || entry.kind === kind) &&
+      (!fileHash || entry.fileHash === fileHash) &&
+      (!version || entry.version.startsWith(version)) &&
+      (!olderThan || entry.createdAt < new Date(olderThan).toISOString());
+  }
+
+  // Entry metadata without the cached values
+  listEntries(filters = {}) {
+    return this.entries
+      .find(entry => this.matches(entry, filters))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(({ value, ...entry }) => entry);
+  }
+
+  getEntry(id) {
+    return this.entries.findById(id);
+  }
+
+  getSummary() {
+    const entries = this.entries.all();
+    const byKind = {};
+    entries.forEach(entry => {
+      byKind[entry.kind] = (byKind[entry.kind] || 0) + 1;
+    });
+
+    return {
+      enabled: this.enabled,
+      maxEntries: this.maxEntries,
+      entries: entries.length,
+      byKind,
+      totalSize: entries.reduce((sum, entry) => sum + entry.size, 0),
+      storedHits: entries.reduce((sum, entry) => sum + entry.hits, 0),
+      sinceStartup: { ...this.stats }
+    };
+  }
+
+  purge(filters = {}) {
+    const removed = this.entries.removeWhere(entry => this.matches(entry, filters));
+    logger.info(`Purged ${removed.length} extraction cache entries`);
+    return removed.length;
+  }
+
+  removeEntry(id) {
+    return this.entries.remove(id);
+  }
+}
+
+module.exports = new ExtractionCacheService();
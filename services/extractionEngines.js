@@ -0,0 +1,55 @@
+const logger = require('../utils/logger');
+
+// Registry of candidate-extraction engines. An engine is
+// { description, version, extract: async (text, extractAdditionalFields) => candidateInfo }
+// and must throw (not return null) when it cannot produce a result. version (a string or
+// a function returning one) must change whenever the engine's output would, since it
+// is part of the extraction cache key.
+class ExtractionEngineRegistry {
+  constructor() {
+    this.engines = new Map();
+    this.defaultEngine = process.env.EXTRACTION_ENGINE || 'hybrid';
+    this.fallbackEngine = 'regex';
+  }
+
+  register(name, engine) {
+    if (typeof engine.extract !== 'function') {
+      throw new Error(`Extraction engine '${name}' must implement extract()`);
+    }
+
+    this.engines.set(name, engine);
+    logger.debug(`Registered extraction engine: ${name}`);
+  }
+
+  has(name) {
+    return this.engines.has(name);
+  }
+
+  get(name) {
+    const engine = this.engines.get(name);
+    if (!engine) {
+      throw new Error(`Unknown extraction engine: ${name}. Available: ${this.getNames().join(', ')}`);
+    }
+    return engine;
+  }
+
+  getVersion(name) {
+    const { version } = this.get(name);
+    return `${name}@${typeof version === 'function' ? version() : version || '1'}`;
+  }
+
+  getNames() {
+    return [...this.engines.keys()];
+  }
+
+  list() {
+    return this.getNames().map(name => ({
+      name,
+      description: this.engines.get(name).description,
+      version: this.getVersion(name),
+      isDefault: name === this.defaultEngine
+    }));
+  }
+}
+
+module.exports = new ExtractionEngineRegistry();
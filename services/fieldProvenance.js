@@ -0,0 +1,261 @@
+const logger = require('../utils/logger');
+const placeholders = require('../utils/placeholders');
+const skillTaxonomy = require('./skillTaxonomy');
+
+// Starting confidence by engine, before checking the value against the resume text
+const ENGINE_CONFIDENCE = {
+  regex: 0.6,
+  nlp: 0.65,
+  llm: 0.75,
+  manual: 1
+};
+
+const SCALAR_FIELDS = ['name', 'email', 'phone', 'experience', 'linkedinUrl'];
+const LIST_FIELDS = ['primarySkills', 'secondarySkills'];
+
+// Fields below this confidence are flagged for manual review
+const LOW_CONFIDENCE_THRESHOLD = parseFloat(process.env.LOW_CONFIDENCE_THRESHOLD || '0.6');
+
+// Attaches { engine, confidence, span, line } to every extracted field, where span is
+// the matched text in rawText ({ start, end, text }) and line is 1-based.
+class FieldProvenanceService {
+  constructor() {
+    this.lowConfidenceThreshold = LOW_CONFIDENCE_THRESHOLD;
+  }
+
+  // Returns { fieldProvenance, lowConfidenceFields } for a freshly extracted candidate
+  annotate(candidate, rawText) {
+    const fieldProvenance = {};
+
+    SCALAR_FIELDS.forEach(field => {
+      if (!this.isEmpty(candidate[field])) {
+        fieldProvenance[field] = this.scoreScalar(candidate, field, candidate[field], rawText);
+      }
+    });
+
+    LIST_FIELDS.forEach(field => {
+      if (!this.isEmpty(candidate[field])) {
+        fieldProvenance[field] = this.scoreList(candidate, field, candidate[field], rawText);
+      }
+    });
+
+    Object.entries(candidate.additionalFields || {}).forEach(([key, value]) => {
+      if (this.isEmpty(value)) return;
+      const field = `additionalFields.${key}`;
+      fieldProvenance[field] = Array.isArray(value)
+        ? this.scoreList(candidate, field, value, rawText)
+        : this.scoreScalar(candidate, field, value, rawText);
+    });
+
+    const lowConfidenceFields = this.getLowConfidenceFields(fieldProvenance);
+    if (lowConfidenceFields.length > 0) {
+      logger.info(`Low-confidence fields for ${candidate.name || 'Unknown'}: ${lowConfidenceFields.join(', ')}`);
+    }
+
+    return { fieldProvenance, lowConfidenceFields };
+  }
+
+  // Manually corrected fields are fully trusted
+  markManual(candidate, fieldChanges, changedBy) {
+    const fieldProvenance = { ...(candidate.fieldProvenance || {}) };
+    const changedAt = new Date().toISOString();
+
+    fieldChanges.forEach(({ field, oldValue, newValue }) => {
+      if (field === 'additionalFields') {
+        const before = oldValue || {};
+        Object.entries(newValue || {}).forEach(([key, value]) => {
+          if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+            fieldProvenance[`additionalFields.${key}`] = this.manualEntry(changedBy, changedAt);
+          }
+        });
+      } else {
+        fieldProvenance[field] = this.manualEntry(changedBy, changedAt);
+      }
+    });
+
+    return { fieldProvenance, lowConfidenceFields: this.getLowConfidenceFields(fieldProvenance) };
+  }
+
+  manualEntry(changedBy, changedAt) {
+    return { engine: 'manual', confidence: ENGINE_CONFIDENCE.manual, span: null, line: null, changedBy, changedAt };
+  }
+
+  getLowConfidenceFields(fieldProvenance) {
+    return Object.entries(fieldProvenance)
+      .filter(([, provenance]) => provenance.confidence < this.lowConfidenceThreshold)
+      .map(([field]) => field);
+  }
+
+  isLowConfidence(candidate, field) {
+    return (candidate.lowConfidenceFields || []).includes(field);
+  }
+
+  // The hybrid engine records a source per field; other engines supply every field themselves
+  sourceFor(candidate, field) {
+    const source = (candidate.fieldSources || {})[field];
+    return {
+      engine: source ? source.engine : candidate.extractionEngine || 'regex',
+      agreedBy: source ? (source.agreedBy || source.mergedFrom || [source.engine]) : [],
+      conflicting: source ? !!source.conflicting : false
+    };
+  }
+
+  scoreScalar(candidate, field, value, rawText) {
+    const { engine, agreedBy, conflicting } = this.sourceFor(candidate, field);
+    const span = this.locate(field, value, rawText);
+    let confidence = ENGINE_CONFIDENCE[engine] || 0.5;
+    const reasons = [];
+
+    if (span) {
+      confidence += 0.2;
+      reasons.push('found in resume text');
+      if (field === 'name' && span.line <= 3) {
+        confidence += 0.1;
+        reasons.push('in resume header');
+      }
+    } else {
+      // Values that cannot be traced back to the text may be inferred or invented
+      confidence *= field === 'experience' ? 0.85 : 0.6;
+      reasons.push('not found verbatim in resume text');
+    }
+
+    if (!this.hasValidFormat(field, value)) {
+      confidence *= 0.5;
+      reasons.push('unexpected format');
+    }
+
+    if (agreedBy.length > 1) {
+      confidence += 0.1 * (agreedBy.length - 1);
+      reasons.push(`agreed by ${agreedBy.join(', ')}`);
+    }
+    if (conflicting) {
+      confidence -= 0.15;
+      reasons.push('engines disagreed');
+    }
+    if (field === 'experience' && candidate.experienceCalculation?.discrepancy) {
+      confidence -= 0.25;
+      reasons.push('differs from the work history dates');
+    }
+
+    return {
+      engine,
+      confidence: this.round(confidence),
+      span: span ? { start: span.start, end: span.end, text: span.text } : null,
+      line: span ? span.line : null,
+      reasons
+    };
+  }
+
+  // List confidence is the average of the items; each item keeps its own span
+  scoreList(candidate, field, values, rawText) {
+    const { engine } = this.sourceFor(candidate, field);
+    const base = ENGINE_CONFIDENCE[engine] || 0.5;
+
+    const items = values.map(value => {
+      const span = typeof value === 'string' ? this.locate(field, value, rawText) : null;
+      return {
+        value,
+        confidence: this.round(span ? base + 0.2 : base * 0.6),
+        span: span ? { start: span.start, end: span.end, text: span.text } : null,
+        line: span ? span.line : null
+      };
+    });
+
+    const confidence = items.reduce((sum, item) => sum + item.confidence, 0) / items.length;
+    const first = items.find(item => item.span);
+
+    return {
+      engine,
+      confidence: this.round(confidence),
+      span: first ? first.span : null,
+      line: first ? first.line : null,
+      items
+    };
+  }
+
+  // Finds the first occurrence of the value in rawText, tolerating formatting differences
+  locate(field, value, rawText) {
+    if (!rawText || (typeof value !== 'string' && typeof value !== 'number')) {
+      return null;
+    }
+
+    const text = String(value).trim();
+    let pattern;
+
+    // Known skills may appear under an alias ("k8s" for Kubernetes)
+    const mention = LIST_FIELDS.includes(field) ? skillTaxonomy.findFirstMention(text, rawText) : null;
+    if (mention) {
+      return {
+        start: mention.index,
+        end: mention.index + mention.text.length,
+        text: mention.text,
+        line: rawText.substring(0, mention.index).split('\n').length
+      };
+    }
+
+    switch (field) {
+      case 'phone': {
+        const digits = text.replace(/\D/g, '');
+        if (digits.length < 7) return null;
+        pattern = new RegExp(digits.split('').join('[\\s().+-]*'));
+        break;
+      }
+      case 'experience': {
+        const years = parseFloat(text);
+        if (isNaN(years)) return null;
+        pattern = new RegExp(`\\b${String(years).replace('.', '\\.')}(?:\\.0)?\\s*\\+?\\s*(?:years?|yrs?)`, 'i');
+        break;
+      }
+      case 'linkedinUrl':
+        pattern = new RegExp(this.escapeRegex(text.replace(/^https?:\/\/(www\.)?/i, '').replace(/\/$/, '')), 'i');
+        break;
+      default:
+        if (text.length < 2) return null;
+        // Whitespace in the value may be a line break or several spaces in the text
+        pattern = new RegExp(text.split(/\s+/).map(part => this.escapeRegex(part)).join('\\s+'), 'i');
+    }
+
+    const match = rawText.match(pattern);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      start: match.index,
+      end: match.index + match[0].length,
+      text: match[0],
+      line: rawText.substring(0, match.index).split('\n').length
+    };
+  }
+
+  hasValidFormat(field, value) {
+    const text = String(value);
+    switch (field) {
+      case 'email':
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text);
+      case 'phone':
+        return text.replace(/\D/g, '').length >= 10;
+      case 'linkedinUrl':
+        return /linkedin\.com\/in\//i.test(text);
+      case 'name':
+        return /^[A-Za-z][A-Za-z.'\s-]{1,60}$/.test(text) && text.trim().split(/\s+/).length <= 5;
+      default:
+        return true;
+    }
+  }
+
+  // Placeholders such as 'Name Not Found' count as missing, so they get no provenance entry
+  isEmpty(value) {
+    return placeholders.isEmpty(value);
+  }
+
+  escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  round(confidence) {
+    return parseFloat(Math.max(0, Math.min(1, confidence)).toFixed(2));
+  }
+}
+
+module.exports = new FieldProvenanceService();
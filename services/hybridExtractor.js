@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const extractionEngines = require('./extractionEngines');
+const logger = require('../utils/logger');
+const placeholders = require('../utils/placeholders');
+
+const SCALAR_FIELDS = ['name', 'email', 'phone', 'experience', 'linkedinUrl'];
+const LIST_FIELDS = ['primarySkills', 'secondarySkills'];
+
+// Default hybrid configuration. Override with a JSON file of the same shape via HYBRID_CONFIG.
+// precedence lists, per field, which engine wins when the engines disagree;
+// a value reported by at least agreementThreshold engines wins regardless of precedence.
+const DEFAULT_HYBRID_CONFIG = {
+  engines: ['llm', 'nlp', 'regex'],
+  precedence: {
+    default: ['llm', 'nlp', 'regex'],
+    email: ['regex', 'nlp', 'llm'],
+    phone: ['regex', 'nlp', 'llm'],
+    linkedinUrl: ['regex', 'nlp', 'llm']
+  },
+  agreementThreshold: 2
+};
+
+class HybridExtractorService {
+  constructor() {
+    this.config = this.loadConfig(process.env.HYBRID_CONFIG);
+  }
+
+  loadConfig(configPath) {
+    if (!configPath) {
+      return DEFAULT_HYBRID_CONFIG;
+    }
+
+    const fileConfig = fs.readJsonSync(configPath);
+    const config = {
+      ...DEFAULT_HYBRID_CONFIG,
+      ...fileConfig,
+      precedence: { ...DEFAULT_HYBRID_CONFIG.precedence, ...fileConfig.precedence }
+    };
+    this.validateConfig(config);
+    logger.info(`Loaded hybrid extraction configuration from ${configPath}`);
+    return config;
+  }
+
+  validateConfig(config) {
+    if (config.engines.includes('hybrid')) {
+      throw new Error('Hybrid extraction cannot include the hybrid engine itself');
+    }
+
+    Object.entries(config.precedence).forEach(([field, engines]) => {
+      engines.forEach(engine => {
+        if (!config.engines.includes(engine)) {
+          throw new Error(`Hybrid precedence for '${field}' references engine '${engine}' that is not in engines`);
+        }
+      });
+    });
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  // Combines the versions of the underlying engines with the merge settings
+  getVersion() {
+    const engines = this.config.engines.map(name => extractionEngines.getVersion(name)).join('+');
+    const settings = crypto.createHash('sha256')
+      .update(JSON.stringify({ precedence: this.config.precedence, agreementThreshold: this.config.agreementThreshold }))
+      .digest('hex')
+      .substring(0, 8);
+    return `${engines}/${settings}`;
+  }
+
+  precedenceFor(field) {
+    const order = this.config.precedence[field] || this.config.precedence.default;
+    // Engines missing from a field's list still count, after the listed ones
+    return [...order, ...this.config.engines.filter(engine => !order.includes(engine))];
+  }
+
+  // Runs every configured engine and merges their results field by field.
+  // Engines that fail are skipped; the extraction only fails if all of them do.
+  async extract(text, extractAdditionalFields = false) {
+    const settled = await Promise.allSettled(
+      this.config.engines.map(name => extractionEngines.get(name).extract(text, extractAdditionalFields))
+    );
+
+    const results = {};
+    const engineErrors = {};
+    settled.forEach((outcome, index) => {
+      const name = this.config.engines[index];
+      if (outcome.status === 'fulfilled' && outcome.value) {
+        results[name] = outcome.value;
+      } else {
+        engineErrors[name] = outcome.reason ? outcome.reason.message : 'No result';
+        logger.warn(`Hybrid extraction: '${name}' engine failed: ${engineErrors[name]}`);
+      }
+    });
+
+    if (Object.keys(results).length === 0) {
+      throw new Error(`All hybrid extraction engines failed: ${Object.entries(engineErrors).map(([name, message]) => `${name}: ${message}`).join('; ')}`);
+    }
+
+    const merged = this.mergeResults(results, extractAdditionalFields);
+    merged.hybridEngines = Object.keys(results);
+    if (results.llm && results.llm.llmUsage) {
+      merged.llmUsage = results.llm.llmUsage;
+    }
+    if (results.llm && results.llm.piiScrubbing) {
+      merged.piiScrubbing = results.llm.piiScrubbing;
+    }
+    if (results.llm && results.llm.promptVersion) {
+      merged.promptVersion = results.llm.promptVersion;
+    }
+    if (Object.keys(engineErrors).length > 0) {
+      merged.hybridEngineErrors = engineErrors;
+    }
+
+    return merged;
+  }
+
+  mergeResults(results, extractAdditionalFields) {
+    const merged = {};
+    const fieldSources = {};
+
+    SCALAR_FIELDS.forEach(field => {
+      const pick = this.pickScalar(field, results, (engine) => results[engine][field]);
+      merged[field] = pick.value;
+      if (pick.source) fieldSources[field] = pick.source;
+    });
+
+    // A skill promoted to primary by any engine is not repeated as secondary
+    const primary = new Set();
+    LIST_FIELDS.forEach(field => {
+      const pick = this.pickList(field, results, (engine) =>
+        (results[engine][field] || []).filter(skill => !primary.has(String(skill).toLowerCase())));
+      merged[field] = pick.value;
+      if (pick.source) fieldSources[field] = pick.source;
+      pick.value.forEach(skill => primary.add(String(skill).toLowerCase()));
+    });
+
+    if (extractAdditionalFields) {
+      merged.additionalFields = {};
+      const keys = new Set(Object.values(results).flatMap(result => Object.keys(result.additionalFields || {})));
+
+      keys.forEach(key => {
+        const getValue = (engine) => (results[engine].additionalFields || {})[key];
+        const isList = Object.keys(results).some(engine => Array.isArray(getValue(engine)));
+        const pick = isList
+          ? this.pickList(key, results, getValue)
+          : this.pickScalar(key, results, getValue);
+
+        merged.additionalFields[key] = pick.value;
+        if (pick.source) fieldSources[`additionalFields.${key}`] = pick.source;
+      });
+    }
+
+    merged.fieldSources = fieldSources;
+    return merged;
+  }
+
+  // The value most engines agree on if enough of them do, otherwise the first
+  // non-empty value in precedence order
+  pickScalar(field, results, getValue) {
+    const order = this.precedenceFor(field).filter(engine => results[engine]);
+    const groups = new Map();
+
+    order.forEach(engine => {
+      const value = getValue(engine);
+      if (this.isEmpty(value)) return;
+
+      const key = this.comparisonKey(field, value);
+      if (!groups.has(key)) {
+        groups.set(key, { value, engines: [] });
+      }
+      groups.get(key).engines.push(engine);
+    });
+
+    if (groups.size === 0) {
+      return { value: null, source: null };
+    }
+
+    // Groups were created in precedence order, so ties go to the preferred engine
+    const ranked = [...groups.values()];
+    const agreed = ranked.reduce((best, group) => (group.engines.length > best.engines.length ? group : best));
+    const chosen = agreed.engines.length >= this.config.agreementThreshold ? agreed : ranked[0];
+
+    return {
+      value: chosen.value,
+      source: {
+        engine: chosen.engines[0],
+        agreedBy: chosen.engines,
+        conflicting: ranked.length > 1
+      }
+    };
+  }
+
+  // Union of every engine's list, in precedence order, without case-insensitive duplicates
+  pickList(field, results, getValue) {
+    const order = this.precedenceFor(field).filter(engine => results[engine]);
+    const seen = new Map();
+    const contributors = [];
+
+    order.forEach(engine => {
+      const values = [].concat(getValue(engine) || []);
+      let contributed = false;
+
+      values.forEach(value => {
+        if (this.isEmpty(value)) return;
+        const key = typeof value === 'string' ? value.trim().toLowerCase() : JSON.stringify(value);
+        if (!seen.has(key)) {
+          seen.set(key, value);
+          contributed = true;
+        }
+      });
+
+      if (contributed) contributors.push(engine);
+    });
+
+    if (contributors.length === 0) {
+      return { value: [], source: null };
+    }
+
+    return {
+      value: [...seen.values()],
+      source: { engine: contributors[0], mergedFrom: contributors }
+    };
+  }
+
+  // Placeholders such as 'Name Not Found' count as empty, so engines that found nothing
+  // cannot agree with each other and outvote a real value
+  isEmpty(value) {
+    return placeholders.isEmpty(value);
+  }
+
+  // Values that differ only in formatting count as agreement
+  comparisonKey(field, value) {
+    if (typeof value !== 'string') {
+      return JSON.stringify(value);
+    }
+
+    switch (field) {
+      case 'phone':
+        return value.replace(/\D/g, '').slice(-10);
+      case 'experience':
+        return String(Math.round(parseFloat(value) || 0));
+      case 'linkedinUrl':
+        return value.toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+      default:
+        return value.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+  }
+}
+
+module.exports = new HybridExtractorService();
@@ -0,0 +1,99 @@
+process.env.DATA_STORE = 'memory';
+
+const hybridExtractor = require('./hybridExtractor');
+
+// What an engine returns when it found nothing
+const empty = (overrides = {}) => ({
+  name: 'Name Not Found',
+  email: null,
+  phone: null,
+  experience: 'Not specified',
+  linkedinUrl: null,
+  primarySkills: [],
+  secondarySkills: [],
+  ...overrides
+});
+
+describe('hybridExtractor.mergeResults', () => {
+  test('a value most engines agree on beats precedence', () => {
+    const merged = hybridExtractor.mergeResults({
+      llm: empty({ name: 'Priya S' }),
+      nlp: empty({ name: 'Priya Sharma' }),
+      regex: empty({ name: 'priya  sharma' })
+    });
+
+    expect(merged.name).toBe('Priya Sharma');
+    expect(merged.fieldSources.name).toEqual({ engine: 'nlp', agreedBy: ['nlp', 'regex'], conflicting: true });
+  });
+
+  test('without agreement the field precedence decides', () => {
+    const merged = hybridExtractor.mergeResults({
+      llm: empty({ name: 'Priya Sharma', email: 'priya@llm.example' }),
+      nlp: empty({ name: 'Sharma Priya', email: 'priya@nlp.example' }),
+      regex: empty({ email: 'priya@regex.example' })
+    });
+
+    expect(merged.name).toBe('Priya Sharma');
+    expect(merged.email).toBe('priya@regex.example');
+    expect(merged.fieldSources.email.engine).toBe('regex');
+  });
+
+  test('placeholders do not outvote a real value', () => {
+    const merged = hybridExtractor.mergeResults({
+      llm: empty({ name: 'Priya Iyer', experience: '6 years' }),
+      nlp: empty(),
+      regex: empty()
+    });
+
+    expect(merged.name).toBe('Priya Iyer');
+    expect(merged.experience).toBe('6 years');
+    expect(merged.fieldSources.name.agreedBy).toEqual(['llm']);
+  });
+
+  test('a field no engine found is null with no source', () => {
+    const merged = hybridExtractor.mergeResults({ llm: empty({ email: 'N/A' }), nlp: empty(), regex: empty() });
+
+    expect(merged.name).toBeNull();
+    expect(merged.email).toBeNull();
+    expect(merged.fieldSources.name).toBeUndefined();
+  });
+
+  test('phone numbers that differ only in formatting agree', () => {
+    const merged = hybridExtractor.mergeResults({
+      llm: empty({ phone: '9876543210' }),
+      nlp: empty({ phone: '+91 98765 43210' }),
+      regex: empty({ phone: '+91-98765-43210' })
+    });
+
+    // The value is taken as the first engine in precedence order wrote it
+    expect(merged.phone).toBe('+91-98765-43210');
+    expect(merged.fieldSources.phone.agreedBy).toEqual(['regex', 'nlp', 'llm']);
+    expect(merged.fieldSources.phone.conflicting).toBe(false);
+  });
+
+  test('skill lists are merged and a primary skill is not repeated as secondary', () => {
+    const merged = hybridExtractor.mergeResults({
+      llm: empty({ primarySkills: ['Java', 'React'], secondarySkills: ['Git'] }),
+      nlp: empty({ primarySkills: ['java', 'Python'], secondarySkills: ['React', 'Docker'] }),
+      regex: empty({ primarySkills: [], secondarySkills: ['Git'] })
+    });
+
+    expect(merged.primarySkills).toEqual(['Java', 'React', 'Python']);
+    expect(merged.secondarySkills).toEqual(['Git', 'Docker']);
+    expect(merged.fieldSources.primarySkills).toEqual({ engine: 'llm', mergedFrom: ['llm', 'nlp'] });
+  });
+
+  test('additional fields are merged only when requested', () => {
+    const results = {
+      llm: empty({ additionalFields: { location: 'Pune', certifications: ['ISTQB'] } }),
+      nlp: empty({ additionalFields: { location: 'Not specified', certifications: ['ISTQB', 'CSM'] } }),
+      regex: empty()
+    };
+
+    expect(hybridExtractor.mergeResults(results).additionalFields).toBeUndefined();
+
+    const merged = hybridExtractor.mergeResults(results, true);
+    expect(merged.additionalFields).toEqual({ location: 'Pune', certifications: ['ISTQB', 'CSM'] });
+    expect(merged.fieldSources['additionalFields.location'].engine).toBe('llm');
+  });
+});
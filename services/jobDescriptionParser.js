@@ -0,0 +1,157 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const resumeParserService = require('./resumeParser');
+const skillTaxonomy = require('./skillTaxonomy');
+const logger = require('../utils/logger');
+
+// Headings / phrases that mark skills as nice-to-have rather than required
+const OPTIONAL_MARKERS = /\b(nice[\s-]to[\s-]have|good[\s-]to[\s-]have|preferred|desirable|bonus|optional|is a plus|added advantage)\b/i;
+const REQUIRED_MARKERS = /\b(must[\s-]have|required|requirements|mandatory|qualifications|responsibilities|key skills)\b/i;
+
+class JobDescriptionParserService {
+  constructor() {
+    this.supportedFormats = ['.pdf', '.docx', '.doc', '.txt', '.eml'];
+    this.tempDir = 'temp/jd';
+  }
+
+  // Turn an uploaded JD into a draft requisition; nothing is saved
+  async parseJobDescription(filePath, originalName) {
+    logger.info(`Parsing job description: ${originalName}`);
+
+    const fileExtension = path.extname(originalName).toLowerCase();
+    if (!this.supportedFormats.includes(fileExtension)) {
+      throw new Error(`Unsupported file format: ${fileExtension}`);
+    }
+
+    const { text, subject } = await this.extractText(filePath, fileExtension);
+    if (!text.trim()) {
+      throw new Error('No text content found in the job description');
+    }
+
+    const draft = this.buildDraft(resumeParserService.normalizeText(text), subject);
+    draft.sourceFileName = originalName;
+
+    logger.info(`Parsed job description ${originalName}: ${draft.title} (${draft.requiredSkills.length} required, ${draft.optionalSkills.length} optional skills)`);
+    return draft;
+  }
+
+  async extractText(filePath, fileExtension) {
+    switch (fileExtension) {
+      case '.pdf':
+        return { text: await resumeParserService.extractTextFromPDF(filePath) };
+      case '.docx':
+      case '.doc':
+        return { text: await resumeParserService.extractTextFromDOCX(filePath) };
+      case '.txt':
+        return { text: await fs.readFile(filePath, 'utf-8') };
+      case '.eml':
+        return this.extractTextFromEml(filePath);
+      default:
+        throw new Error(`Unsupported file type: ${fileExtension}`);
+    }
+  }
+
+  // The JD may be in the mail body, in an attachment, or both
+  async extractTextFromEml(filePath) {
+    const parsed = await simpleParser(await fs.readFile(filePath));
+    const parts = [parsed.text || ''];
+
+    await fs.ensureDir(this.tempDir);
+
+    for (const [index, attachment] of (parsed.attachments || []).entries()) {
+      const filename = attachment.filename || `attachment_${index}`;
+      const extension = path.extname(filename).toLowerCase();
+      if (!['.pdf', '.docx', '.doc', '.txt'].includes(extension)) continue;
+
+      const tempFilePath = path.join(this.tempDir, `${Date.now()}_${index}_${filename}`);
+      try {
+        await fs.writeFile(tempFilePath, attachment.content);
+        parts.push((await this.extractText(tempFilePath, extension)).text);
+      } catch (error) {
+        logger.warn(`Skipping JD attachment ${filename}: ${error.message}`);
+      } finally {
+        await fs.remove(tempFilePath).catch(() => {});
+      }
+    }
+
+    return { text: parts.join('\n'), subject: parsed.subject || null };
+  }
+
+  buildDraft(text, subject) {
+    const experience = this.extractExperienceBand(text);
+    const skills = this.extractSkills(text);
+
+    return {
+      title: this.extractTitle(text, subject),
+      description: text.substring(0, 2000),
+      requiredSkills: skills.required,
+      optionalSkills: skills.optional,
+      minExperience: experience.min,
+      maxExperience: experience.max,
+      location: this.extractLocation(text)
+    };
+  }
+
+  extractTitle(text, subject) {
+    const labelled = text.match(/(?:job title|position|role|designation)\s*[:\-]\s*([^\n]{3,100})/i);
+    if (labelled) {
+      return labelled[1].trim();
+    }
+
+    if (subject) {
+      return subject.replace(/^(?:re|fwd?|fw)\s*:\s*/i, '').replace(/^(?:jd|job description)\s*[:\-]\s*/i, '').trim();
+    }
+
+    const firstLine = text.split('\n').find(line => line.length >= 3 && line.length <= 80);
+    return firstLine ? firstLine.trim() : 'Untitled Requisition';
+  }
+
+  // Lines under a nice-to-have heading (or mentioning one) give optional skills.
+  // A skill that is also listed as required anywhere stays required.
+  extractSkills(text) {
+    const required = new Set();
+    const optional = new Set();
+    let inOptionalSection = false;
+
+    text.split('\n').forEach(line => {
+      const isHeading = line.length <= 60 && (/:$/.test(line) || !/[.,;]/.test(line));
+      if (isHeading && OPTIONAL_MARKERS.test(line)) {
+        inOptionalSection = true;
+      } else if (isHeading && REQUIRED_MARKERS.test(line)) {
+        inOptionalSection = false;
+      }
+
+      const lineIsOptional = inOptionalSection || OPTIONAL_MARKERS.test(line);
+      skillTaxonomy.findInText(line).forEach(skill => {
+        (lineIsOptional ? optional : required).add(skill);
+      });
+    });
+
+    return {
+      required: [...required],
+      optional: [...optional].filter(skill => !required.has(skill))
+    };
+  }
+
+  extractExperienceBand(text) {
+    const range = text.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*\+?\s*(?:years?|yrs?)/i);
+    if (range) {
+      return { min: parseFloat(range[1]), max: parseFloat(range[2]) };
+    }
+
+    const minimum = text.match(/(?:minimum|min\.?|at least|over)?\s*(\d+(?:\.\d+)?)\s*\+?\s*(?:years?|yrs?)/i);
+    if (minimum) {
+      return { min: parseFloat(minimum[1]), max: null };
+    }
+
+    return { min: 0, max: null };
+  }
+
+  extractLocation(text) {
+    const match = text.match(/(?:job location|location|based (?:in|at))\s*[:\-]?\s*([^\n]{2,80})/i);
+    return match ? match[1].trim().replace(/[,\s]+$/, '') : null;
+  }
+}
+
+module.exports = new JobDescriptionParserService();
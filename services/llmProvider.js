@@ -0,0 +1,259 @@
+const OpenAI = require('openai');
+const llmUsage = require('./llmUsage');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// Every provider implements complete({ system, prompt, temperature, maxTokens, purpose })
+// and resolves to { content, model, usage: { promptTokens, completionTokens } }.
+
+// OpenAI API, or any server that speaks the OpenAI chat completions protocol
+class OpenAIProvider {
+  static defaultModel = 'gpt-4o-mini';
+
+  constructor(options) {
+    this.model = options.model || this.constructor.defaultModel;
+    this.client = new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      baseURL: options.baseURL || undefined,
+      timeout: options.timeoutMs,
+      // Retries are handled by LLMClient so they respect the concurrency cap
+      maxRetries: 0
+    });
+  }
+
+  async complete({ system, prompt, temperature = 0.3, maxTokens = 1000 }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    return {
+      content: completion.choices[0]?.message?.content || '',
+      model: completion.model || this.model,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+// Local OpenAI-compatible server (llama.cpp server, Ollama). Defaults to Ollama;
+// these servers ignore the API key but the SDK insists on one.
+class LocalProvider extends OpenAIProvider {
+  static defaultModel = 'llama3.1';
+
+  constructor(options) {
+    super({
+      ...options,
+      baseURL: options.baseURL || 'http://localhost:11434/v1',
+      apiKey: options.apiKey || 'local'
+    });
+  }
+}
+
+// Offline provider for tests and demos: answers from the prompt itself with simple
+// pattern matching, so the same input always gives the same output.
+class MockProvider {
+  static defaultModel = 'mock';
+
+  constructor(options) {
+    this.model = options.model || MockProvider.defaultModel;
+  }
+
+  // The kind of reply follows request.purpose, not the prompt wording, so editing or
+  // activating another extraction template does not change what the mock does
+  async complete({ prompt, purpose }) {
+    let content;
+    if (purpose === 'question') {
+      content = JSON.stringify(this.answer(prompt));
+    } else if (purpose === 'extraction') {
+      // Templates normally label the resume; otherwise the whole prompt is searched
+      const resumeText = (prompt.split('Resume Text:')[1] || prompt).split('\n\nPlease format')[0];
+      content = JSON.stringify(this.extract(resumeText));
+    } else {
+      content = `Mock answer based on ${prompt.trim().split('\n').length} lines of input`;
+    }
+
+    return {
+      content,
+      model: this.model,
+      usage: {
+        promptTokens: Math.ceil(prompt.length / 4),
+        completionTokens: Math.ceil(content.length / 4)
+      }
+    };
+  }
+
+  // Question answering (resumeQA): cites the numbered lines sharing the most words with the question
+  answer(prompt) {
+    const question = (prompt.match(/^Question: (.*)$/m) || [])[1] || '';
+    const words = (question.toLowerCase().match(/[a-z0-9+#]{3,}/g) || [])
+      .filter(word => !['has', 'have', 'the', 'this', 'they', 'did', 'does', 'which', 'what', 'who', 'with', 'any', 'person', 'candidate'].includes(word));
+    const lines = (prompt.split('Resume Lines:')[1] || '').split('\nQuestion:')[0]
+      .split('\n')
+      .map(line => line.match(/^(\d+): (.*)$/))
+      .filter(Boolean)
+      .map(([, number, text]) => ({ number: parseInt(number), text, hits: words.filter(word => text.toLowerCase().includes(word)).length }))
+      .filter(line => line.hits > 0)
+      .sort((a, b) => b.hits - a.hits || a.number - b.number)
+      .slice(0, 3);
+
+    if (lines.length === 0) {
+      return { answer: 'The resume does not mention this.', found: false, citedLines: [] };
+    }
+    return { answer: lines.map(line => line.text).join(' '), found: true, citedLines: lines.map(line => line.number) };
+  }
+
+  extract(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    const email = text.match(/[\w.+-]+@[\w-]+\.[\w.-]+/);
+    const phone = text.match(/\+?\d[\d ().-]{8,}\d/);
+    const linkedin = text.match(/(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/[\w-]+/i);
+    const experience = text.match(/(\d+(?:\.\d+)?)\+?\s*years?/i);
+    const skills = text.match(/skills\s*:\s*([^\n]+)/i);
+
+    return {
+      name: lines[0] || '',
+      email: email ? email[0] : '',
+      phone: phone ? phone[0].trim() : '',
+      experience: experience ? experience[1] : '',
+      linkedinUrl: linkedin ? linkedin[0] : '',
+      primarySkills: skills ? skills[1].split(/[,;|]/).map(skill => skill.trim()).filter(Boolean) : [],
+      secondarySkills: []
+    };
+  }
+}
+
+class LLMClient {
+  constructor() {
+    this.providers = {
+      openai: OpenAIProvider,
+      local: LocalProvider,
+      mock: MockProvider
+    };
+    this.providerName = process.env.LLM_PROVIDER || 'openai';
+    this.options = {
+      model: process.env.LLM_MODEL,
+      baseURL: process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY,
+      timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 60000
+    };
+    this.maxRetries = parseInt(process.env.LLM_MAX_RETRIES || '3');
+    this.retryBaseMs = parseInt(process.env.LLM_RETRY_BASE_MS || '1000');
+    this.maxConcurrency = parseInt(process.env.LLM_MAX_CONCURRENCY || '2');
+    this.active = 0;
+    this.waiting = [];
+    this.provider = null;
+  }
+
+  // Register another provider (e.g. a different vendor SDK) before first use
+  registerProvider(name, ProviderClass) {
+    this.providers[name] = ProviderClass;
+  }
+
+  // Created on first use so a missing API key only fails LLM calls, not startup
+  getProvider() {
+    if (!this.provider) {
+      const ProviderClass = this.providers[this.providerName];
+      if (!ProviderClass) {
+        throw new Error(`Unknown LLM provider: ${this.providerName}`);
+      }
+
+      this.provider = new ProviderClass(this.options);
+      logger.info(`LLM provider initialized (${this.providerName}, model ${this.provider.model})`);
+    }
+    return this.provider;
+  }
+
+  getInfo() {
+    const ProviderClass = this.providers[this.providerName];
+    return {
+      provider: this.providerName,
+      model: this.options.model || (ProviderClass && ProviderClass.defaultModel) || null,
+      baseURL: this.options.baseURL || null
+    };
+  }
+
+  // Budget check, concurrency slot, retries with backoff, then usage accounting.
+  // request.purpose labels the call in the usage records.
+  async complete(request) {
+    const provider = this.getProvider();
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquireSlot();
+      const startTime = Date.now();
+      let completion;
+
+      try {
+        // Checked once a slot is free, so queued calls see what the earlier ones spent
+        llmUsage.assertWithinBudget();
+        completion = await provider.complete(request);
+      } catch (error) {
+        this.releaseSlot();
+        if (!this.isRetryable(error) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.retryDelay(error, attempt);
+        logger.warn(`LLM call failed (${error.status || error.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+
+      this.releaseSlot();
+      completion.cost = llmUsage.record({
+        provider: this.providerName,
+        model: completion.model,
+        purpose: request.purpose || 'other',
+        usage: completion.usage,
+        durationMs: Date.now() - startTime
+      });
+      return completion;
+    }
+  }
+
+  // Rate limits, server errors and dropped connections are worth retrying
+  isRetryable(error) {
+    if (error.status) {
+      return error.status === 429 || error.status >= 500;
+    }
+    // APIConnectionTimeoutError is a subclass, so timeouts are covered too
+    return error instanceof OpenAI.APIConnectionError;
+  }
+
+  // Exponential backoff with jitter; a Retry-After header from the server wins
+  retryDelay(error, attempt) {
+    const retryAfter = parseFloat(error.headers?.get?.('retry-after') ?? error.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return Math.ceil(retryAfter * 1000);
+    }
+    return this.retryBaseMs * Math.pow(2, attempt) + Math.floor(Math.random() * this.retryBaseMs);
+  }
+
+  // At most maxConcurrency calls are in flight; the rest wait in FIFO order
+  acquireSlot() {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      // The slot passes straight to the next caller
+      next();
+    } else {
+      this.active--;
+    }
+  }
+}
+
+module.exports = new LLMClient();
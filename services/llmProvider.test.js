@@ -0,0 +1,133 @@
+process.env.DATA_STORE = 'memory';
+
+const OpenAI = require('openai');
+const dataStore = require('./dataStore');
+const llmUsage = require('./llmUsage');
+const llmClient = require('./llmProvider');
+
+const usageCalls = dataStore.collection('llmUsage');
+
+// A provider that replays the given outcomes (an Error is thrown, anything else is the reply)
+const useProvider = (outcomes) => {
+  const provider = {
+    model: 'fake-model',
+    calls: 0,
+    inFlight: 0,
+    maxInFlight: 0,
+    async complete() {
+      provider.calls++;
+      provider.inFlight++;
+      provider.maxInFlight = Math.max(provider.maxInFlight, provider.inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      provider.inFlight--;
+
+      const outcome = outcomes.length > 1 ? outcomes.shift() : outcomes[0];
+      if (outcome instanceof Error) {
+        throw outcome;
+      }
+      return { content: outcome, model: 'fake-model', usage: { promptTokens: 1000, completionTokens: 500 } };
+    }
+  };
+
+  llmClient.registerProvider('fake', class {});
+  Object.assign(llmClient, { providerName: 'fake', provider, retryBaseMs: 1, maxRetries: 3, maxConcurrency: 2 });
+  return provider;
+};
+
+const httpError = (status, headers) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+beforeEach(() => {
+  usageCalls.clear();
+  llmUsage.dailyBudget = 0;
+});
+
+describe('llmClient.complete', () => {
+  test('rate limits and server errors are retried', async () => {
+    const provider = useProvider([httpError(429), httpError(503), 'ok']);
+
+    const completion = await llmClient.complete({ prompt: 'hi', purpose: 'extraction' });
+
+    expect(completion.content).toBe('ok');
+    expect(provider.calls).toBe(3);
+    // Only the successful call is recorded
+    expect(usageCalls.all()).toEqual([expect.objectContaining({
+      provider: 'fake',
+      model: 'fake-model',
+      purpose: 'extraction',
+      promptTokens: 1000,
+      completionTokens: 500
+    })]);
+  });
+
+  test('client errors are not retried', async () => {
+    const provider = useProvider([httpError(400)]);
+
+    await expect(llmClient.complete({ prompt: 'hi' })).rejects.toMatchObject({ status: 400 });
+    expect(provider.calls).toBe(1);
+  });
+
+  test('the last error is thrown once the retries are used up', async () => {
+    const provider = useProvider([httpError(500)]);
+
+    await expect(llmClient.complete({ prompt: 'hi' })).rejects.toMatchObject({ status: 500 });
+    expect(provider.calls).toBe(4);
+  });
+
+  test('no call is made once the daily budget is spent', async () => {
+    const provider = useProvider(['ok']);
+    llmUsage.dailyBudget = 0.01;
+    usageCalls.insert({ id: 'spent', day: llmUsage.today(), estimatedCost: 0.02 });
+
+    await expect(llmClient.complete({ prompt: 'hi' })).rejects.toMatchObject({ code: 'LLM_BUDGET_EXCEEDED' });
+    expect(provider.calls).toBe(0);
+  });
+
+  test('calls beyond the concurrency cap wait for a slot', async () => {
+    const provider = useProvider(['ok']);
+
+    await Promise.all([1, 2, 3, 4, 5].map(() => llmClient.complete({ prompt: 'hi' })));
+
+    expect(provider.calls).toBe(5);
+    expect(provider.maxInFlight).toBe(2);
+    expect(llmClient.active).toBe(0);
+  });
+});
+
+describe('llmClient retry policy', () => {
+  test('dropped connections and timeouts are retryable', () => {
+    expect(llmClient.isRetryable(new OpenAI.APIConnectionError({ message: 'socket hang up' }))).toBe(true);
+    expect(llmClient.isRetryable(new OpenAI.APIConnectionTimeoutError())).toBe(true);
+    expect(llmClient.isRetryable(new Error('Unexpected token'))).toBe(false);
+  });
+
+  test('backoff doubles per attempt and Retry-After wins', () => {
+    llmClient.retryBaseMs = 100;
+
+    expect(llmClient.retryDelay(httpError(429), 0)).toBeGreaterThanOrEqual(100);
+    expect(llmClient.retryDelay(httpError(429), 0)).toBeLessThan(200);
+    expect(llmClient.retryDelay(httpError(429), 2)).toBeGreaterThanOrEqual(400);
+    expect(llmClient.retryDelay(httpError(429, { 'retry-after': '3' }), 2)).toBe(3000);
+  });
+});
+
+describe('llmUsage cost estimates', () => {
+  test('known models, dated snapshots and free providers', () => {
+    const usage = { promptTokens: 1000000, completionTokens: 1000000 };
+
+    expect(llmUsage.estimateCost('openai', 'gpt-4o-mini', usage)).toBe(0.75);
+    expect(llmUsage.estimateCost('openai', 'gpt-4o-mini-2024-07-18', usage)).toBe(0.75);
+    expect(llmUsage.estimateCost('local', 'gpt-4o', usage)).toBe(0);
+  });
+});
+
+describe('mock provider', () => {
+  const mock = new llmClient.providers.mock({});
+
+  test('the reply follows the call purpose, not the prompt wording', async () => {
+    const extraction = await mock.complete({ prompt: 'Resume Text:\nJANE DOE\njane@example.com\nSkills: Java, SQL', purpose: 'extraction' });
+    expect(JSON.parse(extraction.content)).toMatchObject({ name: 'JANE DOE', email: 'jane@example.com', primarySkills: ['Java', 'SQL'] });
+
+    const other = await mock.complete({ prompt: 'Reply with valid JSON only', purpose: 'quickAnalyze' });
+    expect(other.content).toBe('Mock answer based on 1 lines of input');
+  });
+});
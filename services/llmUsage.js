@@ -0,0 +1,160 @@
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+const logger = require('../utils/logger');
+
+// USD per million tokens. Unknown models cost nothing unless LLM_PRICE_INPUT_PER_1M /
+// LLM_PRICE_OUTPUT_PER_1M are set; local and mock providers are always free.
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+};
+
+const FREE_PROVIDERS = ['local', 'mock'];
+
+// Calls older than the longest report window (GET /api/llm/usage?days=90) are dropped
+const RETENTION_DAYS = 90;
+
+// Token and cost accounting for every LLM call, plus the daily budget check
+class LLMUsageService {
+  constructor() {
+    this.calls = dataStore.collection('llmUsage');
+    this.dailyBudget = parseFloat(process.env.LLM_DAILY_BUDGET_USD || '0');
+    this.priceOverride = process.env.LLM_PRICE_INPUT_PER_1M || process.env.LLM_PRICE_OUTPUT_PER_1M
+      ? {
+        input: parseFloat(process.env.LLM_PRICE_INPUT_PER_1M || '0'),
+        output: parseFloat(process.env.LLM_PRICE_OUTPUT_PER_1M || '0')
+      }
+      : null;
+    this.retentionDays = RETENTION_DAYS;
+    // Day the old calls were last dropped; pruning runs at most once a day
+    this.prunedOn = null;
+  }
+
+  today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  getPricing(provider, model) {
+    if (FREE_PROVIDERS.includes(provider)) {
+      return { input: 0, output: 0 };
+    }
+    if (this.priceOverride) {
+      return this.priceOverride;
+    }
+    // Dated snapshots (gpt-4o-mini-2024-07-18) are priced like their base model
+    const base = Object.keys(MODEL_PRICING)
+      .sort((a, b) => b.length - a.length)
+      .find(name => model && model.startsWith(name));
+    return base ? MODEL_PRICING[base] : { input: 0, output: 0 };
+  }
+
+  estimateCost(provider, model, usage) {
+    const pricing = this.getPricing(provider, model);
+    const cost = (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1000000;
+    return parseFloat(cost.toFixed(6));
+  }
+
+  // Removes calls older than the retention window so the store does not grow without bound
+  prune() {
+    const today = this.today();
+    if (this.prunedOn === today) {
+      return 0;
+    }
+    this.prunedOn = today;
+
+    const cutoff = new Date(Date.now() - (this.retentionDays - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const removed = this.calls.removeWhere(call => call.day < cutoff);
+    if (removed.length > 0) {
+      logger.info(`Dropped ${removed.length} LLM usage records older than ${this.retentionDays} days`);
+    }
+    return removed.length;
+  }
+
+  record({ provider, model, purpose, usage, durationMs }) {
+    const cost = this.estimateCost(provider, model, usage);
+    const now = new Date().toISOString();
+
+    this.prune();
+    this.calls.insert({
+      id: uuidv4(),
+      day: now.split('T')[0],
+      calledAt: now,
+      provider,
+      model,
+      purpose,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      estimatedCost: cost,
+      durationMs
+    });
+
+    logger.info(`LLM call (${purpose}, ${model}): ${usage.promptTokens}+${usage.completionTokens} tokens, ~$${cost}`);
+    return cost;
+  }
+
+  getDailySpend(day = this.today()) {
+    return this.calls
+      .find(call => call.day === day)
+      .reduce((sum, call) => sum + call.estimatedCost, 0);
+  }
+
+  isBudgetExceeded() {
+    return this.dailyBudget > 0 && this.getDailySpend() >= this.dailyBudget;
+  }
+
+  // Throws LLM_BUDGET_EXCEEDED so callers fall back to a non-LLM engine
+  assertWithinBudget() {
+    if (this.isBudgetExceeded()) {
+      const error = new Error(`Daily LLM budget of $${this.dailyBudget} exceeded`);
+      error.code = 'LLM_BUDGET_EXCEEDED';
+      throw error;
+    }
+  }
+
+  summarize(calls) {
+    const totals = calls.reduce((sum, call) => ({
+      calls: sum.calls + 1,
+      promptTokens: sum.promptTokens + call.promptTokens,
+      completionTokens: sum.completionTokens + call.completionTokens,
+      estimatedCost: sum.estimatedCost + call.estimatedCost
+    }), { calls: 0, promptTokens: 0, completionTokens: 0, estimatedCost: 0 });
+
+    totals.estimatedCost = parseFloat(totals.estimatedCost.toFixed(6));
+    return totals;
+  }
+
+  // Per-day totals for the last `days` days (most recent first), with today's budget status
+  getReport(days = 7) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const recent = this.calls.find(call => call.day >= since);
+
+    const byDay = {};
+    recent.forEach(call => {
+      (byDay[call.day] = byDay[call.day] || []).push(call);
+    });
+
+    const byModel = {};
+    recent.forEach(call => {
+      (byModel[call.model] = byModel[call.model] || []).push(call);
+    });
+
+    const spentToday = this.getDailySpend();
+
+    return {
+      today: {
+        day: this.today(),
+        ...this.summarize(byDay[this.today()] || []),
+        budget: this.dailyBudget || null,
+        remaining: this.dailyBudget > 0 ? parseFloat(Math.max(0, this.dailyBudget - spentToday).toFixed(6)) : null,
+        budgetExceeded: this.isBudgetExceeded()
+      },
+      daily: Object.keys(byDay).sort().reverse().map(day => ({ day, ...this.summarize(byDay[day]) })),
+      byModel: Object.entries(byModel).map(([model, calls]) => ({ model, ...this.summarize(calls) }))
+    };
+  }
+}
+
+module.exports = new LLMUsageService();
@@ -0,0 +1,127 @@
+const experienceCalculator = require('../utils/experienceCalculator');
+const skillTaxonomy = require('./skillTaxonomy');
+
+// Scores candidates against a requisition. Each criterion yields a 0-1 score;
+// criteria that do not apply to the requisition are left out and the remaining
+// weights are rescaled so the total is always out of 100.
+const CRITERIA_WEIGHTS = {
+  requiredSkills: 50,
+  optionalSkills: 20,
+  experience: 20,
+  location: 10
+};
+
+// A skill listed only among secondary skills counts for less than a primary one
+const SECONDARY_SKILL_CREDIT = 0.75;
+
+class MatchScorerService {
+  skillCredit(candidate, skill) {
+    const inList = (list) => (list || []).some(item => skillTaxonomy.sameSkill(item, skill));
+
+    if (inList(candidate.primarySkills)) return { credit: 1, level: 'primary' };
+    if (inList(candidate.secondarySkills)) return { credit: SECONDARY_SKILL_CREDIT, level: 'secondary' };
+    return { credit: 0, level: null };
+  }
+
+  scoreSkills(candidate, skills, label) {
+    const matched = [];
+    const missing = [];
+    let credit = 0;
+
+    skills.forEach(skill => {
+      const result = this.skillCredit(candidate, skill);
+      if (result.credit > 0) {
+        matched.push({ skill, level: result.level });
+        credit += result.credit;
+      } else {
+        missing.push(skill);
+      }
+    });
+
+    return {
+      score: credit / skills.length,
+      matched,
+      missing,
+      explanation: `${matched.length} of ${skills.length} ${label} found` +
+        (missing.length > 0 ? `; missing ${missing.join(', ')}` : '')
+    };
+  }
+
+  scoreExperience(candidate, minExperience) {
+    const years = experienceCalculator.yearsOf(candidate);
+    const score = Math.min(1, years / minExperience);
+
+    return {
+      score,
+      candidateYears: years,
+      requiredYears: minExperience,
+      explanation: years >= minExperience
+        ? `${years} years meets the ${minExperience} year minimum`
+        : `${years} years is below the ${minExperience} year minimum`
+    };
+  }
+
+  scoreLocation(candidate, location) {
+    const candidateLocation = candidate.additionalFields?.location;
+
+    if (!candidateLocation) {
+      return { score: 0, candidateLocation: null, explanation: 'Candidate location unknown' };
+    }
+
+    const matches = candidateLocation.toLowerCase().includes(location.toLowerCase());
+    return {
+      score: matches ? 1 : 0,
+      candidateLocation,
+      explanation: matches
+        ? `Located in ${candidateLocation}`
+        : `Located in ${candidateLocation}, not ${location}`
+    };
+  }
+
+  scoreCandidate(candidate, requisition) {
+    const criteria = {};
+
+    if (requisition.requiredSkills.length > 0) {
+      criteria.requiredSkills = this.scoreSkills(candidate, requisition.requiredSkills, 'required skills');
+    }
+    if (requisition.optionalSkills.length > 0) {
+      criteria.optionalSkills = this.scoreSkills(candidate, requisition.optionalSkills, 'optional skills');
+    }
+    if (requisition.minExperience > 0) {
+      criteria.experience = this.scoreExperience(candidate, requisition.minExperience);
+    }
+    if (requisition.location) {
+      criteria.location = this.scoreLocation(candidate, requisition.location);
+    }
+
+    const totalWeight = Object.keys(criteria).reduce((sum, name) => sum + CRITERIA_WEIGHTS[name], 0);
+
+    const breakdown = Object.entries(criteria).map(([name, result]) => {
+      const weight = totalWeight > 0 ? (CRITERIA_WEIGHTS[name] / totalWeight) * 100 : 0;
+      return {
+        criterion: name,
+        weight: parseFloat(weight.toFixed(1)),
+        points: parseFloat((weight * result.score).toFixed(1)),
+        ...result,
+        score: parseFloat(result.score.toFixed(3))
+      };
+    });
+
+    const score = breakdown.reduce((sum, item) => sum + item.points, 0);
+
+    return {
+      candidateId: candidate.id,
+      name: candidate.name,
+      score: parseFloat(score.toFixed(1)),
+      breakdown
+    };
+  }
+
+  rankCandidates(candidates, requisition) {
+    return candidates
+      .map(candidate => this.scoreCandidate(candidate, requisition))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = new MatchScorerService();
@@ -0,0 +1,175 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const resumeSegmenter = require('../utils/resumeSegmenter');
+const workHistoryExtractor = require('../utils/workHistoryExtractor');
+const experienceCalculator = require('../utils/experienceCalculator');
+const educationExtractor = require('../utils/educationExtractor');
+const skillTaxonomySeed = require('./skillTaxonomySeed');
+
+// Schema migrations for the data store document.
+// Each migration receives the whole document ({ schemaVersion, collections })
+// and mutates it in place. Append new migrations with the next version number;
+// never edit one that has already shipped.
+const migrations = [
+  {
+    version: 1,
+    description: 'Create candidates collection',
+    up: (document) => {
+      document.collections.candidates = document.collections.candidates || [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Backfill file content hashes for duplicate detection',
+    up: (document) => {
+      document.collections.candidates.forEach(candidate => {
+        if (!candidate.fileHash && candidate.filePath && fs.pathExistsSync(candidate.filePath)) {
+          candidate.fileHash = crypto.createHash('sha256')
+            .update(fs.readFileSync(candidate.filePath))
+            .digest('hex');
+        }
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Place existing candidates in the initial pipeline stage',
+    up: (document) => {
+      document.collections.candidates.forEach(candidate => {
+        if (!candidate.stage) {
+          const enteredAt = candidate.processedAt || new Date().toISOString();
+          candidate.stage = 'New';
+          candidate.stageEnteredAt = enteredAt;
+          candidate.stageHistory = [{ stage: 'New', from: null, enteredAt, changedBy: 'system', reason: null }];
+          candidate.rejectionReason = null;
+        }
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Create requisitions collection',
+    up: (document) => {
+      document.collections.requisitions = document.collections.requisitions || [];
+    }
+  },
+  {
+    version: 5,
+    description: 'Segment stored resume text into sections',
+    up: (document) => {
+      document.collections.candidates.forEach(candidate => {
+        if (!candidate.sections && candidate.rawText) {
+          candidate.sections = resumeSegmenter.segment(candidate.rawText);
+        }
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Build structured work history from the experience section',
+    up: (document) => {
+      document.collections.candidates.forEach(candidate => {
+        if (!candidate.workHistory) {
+          candidate.workHistory = candidate.rawText
+            ? workHistoryExtractor.extract(candidate.rawText, candidate.sections)
+            : [];
+        }
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Store total experience in months computed from the work history',
+    up: (document) => {
+      document.collections.candidates.forEach(candidate => {
+        if (candidate.experienceMonths === undefined) {
+          Object.assign(candidate, experienceCalculator.assess(candidate));
+        }
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Build structured education records from the education section',
+    up: (document) => {
+      document.collections.candidates.forEach(candidate => {
+        if (!candidate.education) {
+          candidate.education = candidate.rawText
+            ? educationExtractor.extract(candidate.rawText, candidate.sections)
+            : [];
+        }
+      });
+    }
+  },
+  {
+    version: 9,
+    description: 'Seed the skill taxonomy and use canonical skill names on stored candidates',
+    up: (document) => {
+      const now = new Date().toISOString();
+      document.collections.skills = document.collections.skills || [];
+      if (document.collections.skills.length === 0) {
+        document.collections.skills = skillTaxonomySeed.map(skill => ({
+          id: uuidv4(),
+          aliases: [],
+          caseSensitive: false,
+          ...skill,
+          createdAt: now,
+          updatedAt: now,
+          createdBy: 'system'
+        }));
+      }
+
+      const canonical = new Map();
+      document.collections.skills.forEach(skill => {
+        [skill.name, ...skill.aliases].forEach(term => canonical.set(term.toLowerCase(), skill.name));
+      });
+      const normalize = skills => [...new Set((skills || []).map(skill => canonical.get(skill.toLowerCase()) || skill))];
+
+      document.collections.candidates.forEach(candidate => {
+        candidate.primarySkills = normalize(candidate.primarySkills);
+        candidate.secondarySkills = normalize(candidate.secondarySkills)
+          .filter(skill => !candidate.primarySkills.includes(skill));
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Make skill case sensitivity per term instead of per skill',
+    up: (document) => {
+      const seeded = new Map(skillTaxonomySeed.map(skill => [skill.name, skill.caseSensitiveTerms || []]));
+
+      (document.collections.skills || []).forEach(skill => {
+        if (!skill.caseSensitiveTerms) {
+          // Seeded skills take the seed's terms; a custom case-sensitive skill keeps all of its terms exact
+          skill.caseSensitiveTerms = seeded.has(skill.name)
+            ? seeded.get(skill.name)
+            : (skill.caseSensitive ? [skill.name, ...skill.aliases] : []);
+        }
+        delete skill.caseSensitive;
+      });
+    }
+  },
+  {
+    version: 11,
+    description: 'Move candidates placed in "New" by migration 3 to the configured initial pipeline stage',
+    up: (document) => {
+      // Required here: the pipeline service loads the data store, which loads this module
+      const pipelineService = require('./pipeline');
+      if (pipelineService.getStages().includes('New')) {
+        return;
+      }
+
+      // Migration 3 always used 'New'; with a PIPELINE_CONFIG without that stage the
+      // candidates it placed could not be moved anywhere
+      document.collections.candidates.forEach(candidate => {
+        const history = candidate.stageHistory || [];
+        if (candidate.stage === 'New' && history.length === 1 && history[0].changedBy === 'system') {
+          Object.assign(candidate, pipelineService.initialState(candidate.stageEnteredAt));
+        }
+      });
+    }
+  }
+];
+
+module.exports = migrations;
@@ -2,6 +2,7 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs-extra');
 const path = require('path');
 const logger = require('../utils/logger');
+const workHistoryExtractor = require('../utils/workHistoryExtractor');
 
 class PDFGeneratorService {
     constructor() {
@@ -49,6 +50,7 @@ class PDFGeneratorService {
                 this.addAdditionalSections(doc, candidate.additionalFields);
             }
 
+            this.addReviewSection(doc, candidate);
             this.addProcessingInformation(doc, candidate);
             this.addProfessionalFooter(doc, candidate);
 
@@ -112,13 +114,14 @@ class PDFGeneratorService {
         this.addSectionHeader(doc, '👤 PERSONAL INFORMATION');
 
         const infoItems = [
-            { label: 'Full Name', value: candidate.name },
-            { label: 'Email Address', value: candidate.email },
-            { label: 'Phone Number', value: candidate.phone },
-            { label: 'Professional Experience', value: candidate.experience },
-            { label: 'Current Location', value: candidate.additionalFields?.location },
-            { label: 'LinkedIn Profile', value: candidate.linkedinUrl, isLink: true }
+            { label: 'Full Name', value: candidate.name, field: 'name' },
+            { label: 'Email Address', value: candidate.email, field: 'email' },
+            { label: 'Phone Number', value: candidate.phone, field: 'phone' },
+            { label: 'Professional Experience', value: candidate.experience, field: 'experience' },
+            { label: 'Current Location', value: candidate.additionalFields?.location, field: 'additionalFields.location' },
+            { label: 'LinkedIn Profile', value: candidate.linkedinUrl, field: 'linkedinUrl', isLink: true }
         ];
+        const lowConfidence = candidate.lowConfidenceFields || [];
 
         let yPos = doc.y;
         const leftColumn = 50;
@@ -130,7 +133,7 @@ class PDFGeneratorService {
                 const x = index % 2 === 0 ? leftColumn : rightColumn;
                 const y = yPos + Math.floor(index / 2) * rowHeight;
 
-                this.addFormattedInfoRow(doc, item.label, item.value, x, y, item.isLink);
+                this.addFormattedInfoRow(doc, item.label, item.value, x, y, item.isLink, lowConfidence.includes(item.field));
             }
         });
 
@@ -166,8 +169,10 @@ class PDFGeneratorService {
 
         doc.y += 20;
 
-        // Work history if available in additional fields
-        if (candidate.additionalFields?.companies) {
+        // Structured work history, one block per role; the companies text is the fallback
+        if (candidate.workHistory && candidate.workHistory.length > 0) {
+            this.addWorkHistory(doc, candidate.workHistory);
+        } else if (candidate.additionalFields?.companies) {
             doc.fontSize(12)
                .font('Helvetica-Bold')
                .text('Companies:', 50, doc.y);
@@ -199,6 +204,37 @@ class PDFGeneratorService {
         }
     }
 
+    addWorkHistory(doc, workHistory) {
+        workHistory.forEach(entry => {
+            const role = [entry.title, entry.company].filter(Boolean).join(' - ') || 'Role';
+            const details = [entry.location, workHistoryExtractor.formatPeriod(entry)].filter(Boolean).join(' | ');
+
+            doc.fontSize(12)
+               .font('Helvetica-Bold')
+               .fillColor('#2C3E50')
+               .text(role, 50, doc.y, { width: 500 });
+
+            doc.fontSize(10)
+               .font('Helvetica')
+               .fillColor('#7F8C8D')
+               .text(details, 50, doc.y + 2, { width: 500 });
+
+            doc.fillColor('black')
+               .fontSize(10);
+
+            entry.bullets.forEach(bullet => {
+                doc.text(`• ${bullet}`, 60, doc.y + 3, {
+                    width: 490,
+                    lineGap: 2
+                });
+            });
+
+            doc.y += 12;
+        });
+
+        doc.y += 10;
+    }
+
     addSkillsSection(doc, candidate) {
         this.addSectionHeader(doc, '🛠️ TECHNICAL SKILLS & EXPERTISE');
 
@@ -260,7 +296,32 @@ class PDFGeneratorService {
     }
 
     addEducationSection(doc, candidate) {
-        if (candidate.additionalFields?.education) {
+        // Structured education records, one line per degree; the education text is the fallback
+        if (candidate.education && candidate.education.length > 0) {
+            this.addSectionHeader(doc, '🎓 EDUCATION');
+
+            candidate.education.forEach(entry => {
+                const degree = [entry.degree, entry.fieldOfStudy].filter(Boolean).join(' in ');
+                const details = [entry.institution, entry.graduationYear, entry.grade].filter(Boolean).join(' | ');
+
+                doc.fontSize(11)
+                   .font('Helvetica-Bold')
+                   .fillColor('#2C3E50')
+                   .text(degree, 50, doc.y, { width: 500 });
+
+                if (details) {
+                    doc.fontSize(10)
+                       .font('Helvetica')
+                       .fillColor('#7F8C8D')
+                       .text(details, 50, doc.y + 2, { width: 500 });
+                }
+
+                doc.fillColor('black');
+                doc.y += 8;
+            });
+
+            doc.y += 10;
+        } else if (candidate.additionalFields?.education) {
             this.addSectionHeader(doc, '🎓 EDUCATION');
 
             doc.fontSize(11)
@@ -312,6 +373,42 @@ class PDFGeneratorService {
         }
     }
 
+    // Lists every low-confidence field so the reader knows what to double-check
+    addReviewSection(doc, candidate) {
+        const fields = candidate.lowConfidenceFields || [];
+        if (fields.length === 0) {
+            return;
+        }
+
+        this.addSectionHeader(doc, 'FIELDS TO REVIEW');
+
+        doc.fontSize(10)
+           .font('Helvetica')
+           .fillColor('#7F8C8D')
+           .text('These values were extracted with low confidence and should be checked against the original resume.', 50, doc.y, { width: 500 });
+
+        doc.y += 8;
+
+        fields.forEach(field => {
+            const provenance = candidate.fieldProvenance[field];
+            const where = provenance.line ? `line ${provenance.line}` : 'not found in resume text';
+            const label = field.replace('additionalFields.', '');
+
+            doc.fontSize(10)
+               .font('Helvetica-Bold')
+               .fillColor('#E67E22')
+               .text(`${label}:`, 50, doc.y, { continued: true })
+               .font('Helvetica')
+               .fillColor('#2C3E50')
+               .text(` confidence ${Math.round(provenance.confidence * 100)}% (${provenance.engine}, ${where})`);
+
+            doc.y += 4;
+        });
+
+        doc.fillColor('black');
+        doc.y += 10;
+    }
+
     addProcessingInformation(doc, candidate) {
         this.addSectionHeader(doc, '📊 PROCESSING INFORMATION');
 
@@ -379,7 +476,7 @@ class PDFGeneratorService {
         doc.y += 40;
     }
 
-    addFormattedInfoRow(doc, label, value, x, y, isLink = false) {
+    addFormattedInfoRow(doc, label, value, x, y, isLink = false, flagged = false) {
         const labelWidth = 120;
 
         // Label
@@ -399,8 +496,8 @@ class PDFGeneratorService {
                });
         } else {
             doc.font('Helvetica')
-               .fillColor('#2C3E50')
-               .text(value || 'Not provided', x + labelWidth, y, {
+               .fillColor(flagged ? '#E67E22' : '#2C3E50')
+               .text(flagged ? `${value} (verify)` : value || 'Not provided', x + labelWidth, y, {
                    width: 200,
                    ellipsis: true
                });
@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const dataStore = require('./dataStore');
+const candidateHistory = require('./candidateHistory');
+const logger = require('../utils/logger');
+
+// Default recruitment pipeline. Override with a JSON file of the same shape via PIPELINE_CONFIG.
+const DEFAULT_PIPELINE = {
+  initialStage: 'New',
+  stages: ['New', 'Screening', 'Interview', 'Offer', 'Hired', 'Rejected'],
+  transitions: {
+    New: ['Screening', 'Rejected'],
+    Screening: ['Interview', 'Rejected'],
+    Interview: ['Offer', 'Rejected'],
+    Offer: ['Hired', 'Rejected'],
+    Hired: [],
+    Rejected: ['Screening']
+  },
+  rejectedStage: 'Rejected',
+  reasonRequired: ['Rejected']
+};
+
+class PipelineService {
+  constructor() {
+    this.candidates = dataStore.collection('candidates');
+    this.config = this.loadConfig(process.env.PIPELINE_CONFIG);
+  }
+
+  loadConfig(configPath) {
+    if (!configPath) {
+      return DEFAULT_PIPELINE;
+    }
+
+    const config = { ...DEFAULT_PIPELINE, ...fs.readJsonSync(configPath) };
+    this.validateConfig(config);
+    logger.info(`Loaded pipeline configuration from ${configPath}`);
+    return config;
+  }
+
+  validateConfig(config) {
+    const stages = new Set(config.stages);
+
+    if (!stages.has(config.initialStage)) {
+      throw new Error(`Pipeline initial stage '${config.initialStage}' is not a defined stage`);
+    }
+
+    Object.entries(config.transitions).forEach(([from, targets]) => {
+      [from, ...targets].forEach(stage => {
+        if (!stages.has(stage)) {
+          throw new Error(`Pipeline transition references unknown stage '${stage}'`);
+        }
+      });
+    });
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  getStages() {
+    return this.config.stages;
+  }
+
+  // Stage fields for a newly parsed candidate
+  initialState(enteredAt = new Date().toISOString()) {
+    return {
+      stage: this.config.initialStage,
+      stageEnteredAt: enteredAt,
+      stageHistory: [{ stage: this.config.initialStage, from: null, enteredAt, changedBy: 'system', reason: null }],
+      rejectionReason: null
+    };
+  }
+
+  canTransition(from, to) {
+    return (this.config.transitions[from] || []).includes(to);
+  }
+
+  moveCandidate(id, toStage, { reason = null, changedBy = 'anonymous' } = {}) {
+    const candidate = this.candidates.findById(id);
+    if (!candidate) {
+      return null;
+    }
+
+    const fail = (message, status) => {
+      const error = new Error(message);
+      error.status = status;
+      throw error;
+    };
+
+    const fromStage = candidate.stage || this.config.initialStage;
+
+    if (!this.config.stages.includes(toStage)) {
+      fail(`Unknown stage '${toStage}'. Valid stages: ${this.config.stages.join(', ')}`, 400);
+    }
+    if (!this.canTransition(fromStage, toStage)) {
+      const allowed = this.config.transitions[fromStage] || [];
+      fail(`Cannot move candidate from ${fromStage} to ${toStage}. Allowed: ${allowed.join(', ') || 'none'}`, 409);
+    }
+    if (this.config.reasonRequired.includes(toStage) && !reason) {
+      fail(`A reason is required when moving a candidate to ${toStage}`, 400);
+    }
+
+    const enteredAt = new Date().toISOString();
+    const updated = this.candidates.update(id, {
+      stage: toStage,
+      stageEnteredAt: enteredAt,
+      stageHistory: [
+        ...(candidate.stageHistory || []),
+        { stage: toStage, from: fromStage, enteredAt, changedBy, reason }
+      ],
+      rejectionReason: toStage === this.config.rejectedStage ? reason : null
+    });
+
+    candidateHistory.record(id, [{ field: 'stage', oldValue: fromStage, newValue: toStage }], changedBy);
+    logger.info(`Moved candidate ${id} from ${fromStage} to ${toStage} by ${changedBy}`);
+
+    return updated;
+  }
+
+  countByStage(candidates) {
+    const counts = this.config.stages.reduce((result, stage) => {
+      result[stage] = 0;
+      return result;
+    }, {});
+
+    candidates.forEach(candidate => {
+      const stage = candidate.stage || this.config.initialStage;
+      counts[stage] = (counts[stage] || 0) + 1;
+    });
+
+    return counts;
+  }
+}
+
+module.exports = new PipelineService();
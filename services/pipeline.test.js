@@ -0,0 +1,85 @@
+process.env.DATA_STORE = 'memory';
+
+const dataStore = require('./dataStore');
+const pipelineService = require('./pipeline');
+
+const candidates = dataStore.collection('candidates');
+
+const statusOf = (move) => {
+  try {
+    move();
+    return null;
+  } catch (error) {
+    return error.status;
+  }
+};
+
+describe('pipelineService transitions', () => {
+  beforeEach(() => {
+    candidates.clear();
+    candidates.insert({ id: 'c1', name: 'Jane Doe', ...pipelineService.initialState('2024-01-01T00:00:00.000Z') });
+  });
+
+  test('new candidates start in the initial stage', () => {
+    expect(pipelineService.initialState('2024-01-01T00:00:00.000Z')).toEqual({
+      stage: 'New',
+      stageEnteredAt: '2024-01-01T00:00:00.000Z',
+      stageHistory: [{ stage: 'New', from: null, enteredAt: '2024-01-01T00:00:00.000Z', changedBy: 'system', reason: null }],
+      rejectionReason: null
+    });
+  });
+
+  test('a move records the stage history', () => {
+    pipelineService.moveCandidate('c1', 'Screening', { changedBy: 'recruiter' });
+    const moved = pipelineService.moveCandidate('c1', 'Interview', { changedBy: 'recruiter', reason: 'Strong screen' });
+
+    expect(moved.stage).toBe('Interview');
+    expect(moved.stageHistory.map(({ stage, from, changedBy, reason }) => ({ stage, from, changedBy, reason }))).toEqual([
+      { stage: 'New', from: null, changedBy: 'system', reason: null },
+      { stage: 'Screening', from: 'New', changedBy: 'recruiter', reason: null },
+      { stage: 'Interview', from: 'Screening', changedBy: 'recruiter', reason: 'Strong screen' }
+    ]);
+  });
+
+  test('a transition the pipeline does not allow is a 409', () => {
+    expect(statusOf(() => pipelineService.moveCandidate('c1', 'Offer'))).toBe(409);
+    expect(() => pipelineService.moveCandidate('c1', 'Hired')).toThrow('Cannot move candidate from New to Hired. Allowed: Screening, Rejected');
+    expect(candidates.findById('c1').stage).toBe('New');
+  });
+
+  test('unknown stages and missing rejection reasons are a 400', () => {
+    expect(statusOf(() => pipelineService.moveCandidate('c1', 'Onboarding'))).toBe(400);
+    expect(statusOf(() => pipelineService.moveCandidate('c1', 'Rejected'))).toBe(400);
+  });
+
+  test('rejecting keeps the reason until the candidate moves on', () => {
+    expect(pipelineService.moveCandidate('c1', 'Rejected', { reason: 'No visa' }).rejectionReason).toBe('No visa');
+    expect(pipelineService.moveCandidate('c1', 'Screening').rejectionReason).toBeNull();
+  });
+
+  test('an unknown candidate gives null', () => {
+    expect(pipelineService.moveCandidate('missing', 'Screening')).toBeNull();
+  });
+});
+
+describe('pipelineService.countByStage', () => {
+  test('every stage is listed and candidates without a stage count as initial', () => {
+    expect(pipelineService.countByStage([{ stage: 'Screening' }, { stage: 'Screening' }, {}])).toEqual({
+      New: 1,
+      Screening: 2,
+      Interview: 0,
+      Offer: 0,
+      Hired: 0,
+      Rejected: 0
+    });
+  });
+});
+
+describe('pipelineService.validateConfig', () => {
+  test('transitions must name defined stages', () => {
+    expect(() => pipelineService.validateConfig({ initialStage: 'Applied', stages: ['New'], transitions: {} }))
+      .toThrow('Pipeline initial stage \'Applied\' is not a defined stage');
+    expect(() => pipelineService.validateConfig({ initialStage: 'New', stages: ['New'], transitions: { New: ['Hired'] } }))
+      .toThrow('Pipeline transition references unknown stage \'Hired\'');
+  });
+});
@@ -0,0 +1,263 @@
+const fs = require('fs-extra');
+const path = require('path');
+const dataStore = require('./dataStore');
+const logger = require('../utils/logger');
+
+// Fields the extraction prompt asks for; rendered into {{fieldList}} and {{jsonTemplate}}
+const EXTRACTION_FIELDS = [
+  { key: 'name', label: 'Full Name', empty: '' },
+  { key: 'email', label: 'Email', empty: '' },
+  { key: 'phone', label: 'Phone Number', empty: '' },
+  { key: 'experience', label: 'Years of Experience (numerical value)', empty: '' },
+  { key: 'linkedinUrl', label: 'LinkedIn URL (if available)', empty: '' },
+  { key: 'primarySkills', label: 'Primary Skills (top technical skills)', empty: [] },
+  { key: 'secondarySkills', label: 'Secondary Skills (other relevant skills)', empty: [] }
+];
+
+// Rendered into {{additionalFieldList}} when additional fields are requested
+const ADDITIONAL_FIELDS = [
+  'Education',
+  'Current Location',
+  'Current Role',
+  'Professional Summary',
+  'Certifications',
+  'Languages',
+  'Notable Projects',
+  'Companies Worked For'
+];
+
+const VARIABLES = ['partNote', 'resumeText', 'piiNote', 'fieldList', 'jsonTemplate', 'additionalFieldList', 'additionalFields'];
+
+const SAMPLE_RESUME = `JANE DOE
+jane.doe@example.com | +1 555 010 0199
+https://www.linkedin.com/in/janedoe
+
+Experience
+Senior QA Engineer, Acme Corp (2018 - Present)
+6 years of experience in test automation
+
+Skills: Selenium, Java, SQL, Jenkins`;
+
+// Extraction prompt templates. Built-in versions are the files in prompts/extraction
+// (named <version>.txt); new versions are added through the API and stored as records.
+// Versions never change once created, so candidates can be compared by promptVersion.
+//
+// Template syntax: {{variable}}, {{#if variable}}...{{/if}} and {{! comment }}.
+class PromptTemplateService {
+  constructor() {
+    this.templates = dataStore.collection('promptTemplates');
+    this.candidates = dataStore.collection('candidates');
+    this.templatesDir = process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, '..', 'prompts', 'extraction');
+    // Document the file templates were last synced into
+    this.syncedDocument = null;
+  }
+
+  // Synced on first use rather than when this module is required: the store may be
+  // (re)loaded in between (startServer does), which would drop records written earlier
+  ensureLoaded() {
+    const document = dataStore.getDocument();
+    if (this.syncedDocument !== document) {
+      this.syncedDocument = document;
+      this.loadFileTemplates();
+    }
+  }
+
+  // New files in the templates directory are added as versions when the store is loaded
+  loadFileTemplates() {
+    const files = fs.pathExistsSync(this.templatesDir)
+      ? fs.readdirSync(this.templatesDir).filter(file => file.endsWith('.txt'))
+      : [];
+
+    files.forEach(file => {
+      const version = path.basename(file, '.txt');
+      const template = fs.readFileSync(path.join(this.templatesDir, file), 'utf-8');
+      const existing = this.templates.findById(version);
+
+      if (existing && existing.source !== 'file') {
+        logger.warn(`Prompt template file ${file} ignored: version ${version} was already created through the API`);
+        return;
+      }
+      // A shipped version keeps its text: candidates and cached extractions refer to it by version
+      if (existing) {
+        if (existing.template !== template) {
+          logger.warn(`Prompt template file ${file} ignored: version ${version} already exists with different text; add the change as a new version`);
+        }
+        return;
+      }
+      this.validateTemplate(template);
+
+      this.templates.insert({
+        id: version,
+        version,
+        description: this.describe(template),
+        template,
+        source: 'file',
+        active: false,
+        createdAt: new Date().toISOString(),
+        createdBy: 'system'
+      });
+    });
+
+    if (!this.templates.find(record => record.active).length) {
+      const initial = process.env.EXTRACTION_PROMPT_VERSION || this.latestVersion();
+      if (!initial || !this.templates.findById(initial)) {
+        throw new Error(`No extraction prompt template found for version ${initial || '(none)'} in ${this.templatesDir}`);
+      }
+      this.templates.update(initial, { active: true, activatedAt: new Date().toISOString() });
+    }
+
+    logger.info(`Extraction prompt templates loaded (active version ${this.templates.find(record => record.active)[0].version})`);
+  }
+
+  // The leading {{! ... }} comment, if any
+  describe(template) {
+    const comment = template.match(/^\{\{!\s*([\s\S]*?)\s*\}\}/);
+    return comment ? comment[1] : null;
+  }
+
+  latestVersion() {
+    const versions = this.templates.all().map(record => record.version);
+    return versions.sort((a, b) => (parseInt(b) || 0) - (parseInt(a) || 0))[0];
+  }
+
+  // Throws a 400 for templates that reference unknown variables or omit the resume text
+  validateTemplate(template) {
+    const unknown = [...template.matchAll(/\{\{(?:#if\s+)?([A-Za-z]+)\}\}/g)]
+      .map(match => match[1])
+      .filter(name => !VARIABLES.includes(name));
+
+    const problems = [];
+    if (unknown.length > 0) {
+      problems.push(`unknown variables: ${[...new Set(unknown)].join(', ')}`);
+    }
+    if (!template.includes('{{resumeText}}')) {
+      problems.push('{{resumeText}} is required');
+    }
+    if ((template.match(/\{\{#if /g) || []).length !== (template.match(/\{\{\/if\}\}/g) || []).length) {
+      problems.push('unbalanced {{#if}} blocks');
+    }
+
+    if (problems.length > 0) {
+      const error = new Error(`Invalid prompt template: ${problems.join('; ')}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  getActive() {
+    this.ensureLoaded();
+    const [active] = this.templates.find(record => record.active);
+    if (!active) {
+      throw new Error('No active extraction prompt template; activate one with POST /api/prompts/:version/activate');
+    }
+    return active;
+  }
+
+  get(version) {
+    this.ensureLoaded();
+    const record = this.templates.findById(version);
+    if (!record) {
+      const error = new Error(`Prompt template version ${version} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return record;
+  }
+
+  // Metadata for every version (without the template text), with the quality of the
+  // candidates extracted by it
+  list() {
+    this.ensureLoaded();
+    const quality = this.getQualityByVersion();
+    return this.templates.all()
+      .sort((a, b) => (parseInt(a.version) || 0) - (parseInt(b.version) || 0))
+      .map(({ template, ...record }) => ({
+        ...record,
+        quality: quality[record.version] || { candidates: 0, avgConfidence: null, avgLowConfidenceFields: null }
+      }));
+  }
+
+  getQualityByVersion() {
+    const byVersion = {};
+    this.candidates.find(candidate => candidate.promptVersion).forEach(candidate => {
+      (byVersion[candidate.promptVersion] = byVersion[candidate.promptVersion] || []).push(candidate);
+    });
+
+    const average = values => values.length
+      ? parseFloat((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(2))
+      : null;
+
+    return Object.fromEntries(Object.entries(byVersion).map(([version, candidates]) => [version, {
+      candidates: candidates.length,
+      avgConfidence: average(candidates.flatMap(candidate =>
+        Object.values(candidate.fieldProvenance || {}).map(provenance => provenance.confidence))),
+      avgLowConfidenceFields: average(candidates.map(candidate => (candidate.lowConfidenceFields || []).length))
+    }]));
+  }
+
+  create({ template, description, activate = false }, createdBy) {
+    this.ensureLoaded();
+    this.validateTemplate(template);
+
+    const version = String((parseInt(this.latestVersion()) || 0) + 1);
+    const record = this.templates.insert({
+      id: version,
+      version,
+      description: description || this.describe(template),
+      template,
+      source: 'api',
+      active: false,
+      createdAt: new Date().toISOString(),
+      createdBy
+    });
+
+    logger.info(`Prompt template version ${version} created by ${createdBy}`);
+    return activate ? this.activate(version, createdBy) : record;
+  }
+
+  activate(version, activatedBy) {
+    const record = this.get(version);
+    const [current] = this.templates.find(candidate => candidate.active);
+
+    if (current && current.id !== record.id) {
+      this.templates.update(current.id, { active: false });
+    }
+    const activated = this.templates.update(record.id, {
+      active: true,
+      activatedAt: new Date().toISOString(),
+      activatedBy
+    });
+
+    logger.info(`Prompt template version ${version} activated by ${activatedBy}`);
+    return activated;
+  }
+
+  // Fills the template for one resume (or one chunk of it)
+  render(record, { resumeText, extractAdditionalFields = false, partNote = '', piiNote = '' }) {
+    const variables = {
+      partNote,
+      resumeText,
+      piiNote,
+      fieldList: EXTRACTION_FIELDS.map(field => `- ${field.label}`).join('\n'),
+      jsonTemplate: JSON.stringify(Object.fromEntries(EXTRACTION_FIELDS.map(field => [field.key, field.empty])), null, 4),
+      additionalFieldList: ADDITIONAL_FIELDS.map(label => `- ${label}`).join('\n'),
+      additionalFields: extractAdditionalFields
+    };
+
+    return record.template
+      .replace(/\{\{![\s\S]*?\}\}\n?/g, '')
+      .replace(/\{\{#if ([A-Za-z]+)\}\}\n?([\s\S]*?)\{\{\/if\}\}\n?/g, (match, name, body) => (variables[name] ? body : ''))
+      .replace(/\{\{([A-Za-z]+)\}\}/g, (match, name) => String(variables[name] ?? ''))
+      .trim();
+  }
+
+  preview(version, { text, extractAdditionalFields = false } = {}) {
+    const record = this.get(version);
+    return {
+      version: record.version,
+      prompt: this.render(record, { resumeText: text || SAMPLE_RESUME, extractAdditionalFields })
+    };
+  }
+}
+
+module.exports = new PromptTemplateService();
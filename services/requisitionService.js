@@ -0,0 +1,55 @@
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+const logger = require('../utils/logger');
+
+class RequisitionService {
+  constructor() {
+    this.requisitions = dataStore.collection('requisitions');
+  }
+
+  getAllRequisitions() {
+    return this.requisitions
+      .all()
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  getRequisitionById(id) {
+    return this.requisitions.findById(id);
+  }
+
+  createRequisition(data) {
+    const now = new Date().toISOString();
+    const requisition = {
+      id: uuidv4(),
+      title: data.title,
+      description: data.description || null,
+      requiredSkills: data.requiredSkills || [],
+      optionalSkills: data.optionalSkills || [],
+      minExperience: data.minExperience || 0,
+      maxExperience: data.maxExperience || null,
+      location: data.location || null,
+      status: data.status || 'open',
+      sourceFileName: data.sourceFileName || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.requisitions.insert(requisition);
+    logger.info(`Created requisition ${requisition.id}: ${requisition.title}`);
+    return requisition;
+  }
+
+  updateRequisition(id, changes) {
+    return this.requisitions.update(id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+
+  deleteRequisition(id) {
+    const removed = this.requisitions.remove(id);
+    if (removed) {
+      logger.info(`Deleted requisition ${id}: ${removed.title}`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new RequisitionService();
@@ -3,24 +3,74 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const pdfParse = require('pdf-parse');
 const docx = require('docx');
 const textract = require('textract');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const dataStore = require('./dataStore');
+const searchIndex = require('./searchIndex');
+const skillQuery = require('../utils/skillQuery');
+const candidateHistory = require('./candidateHistory');
+const pipelineService = require('./pipeline');
 
 // ✅ CORRECT IMPORT - Uses services folder aiResumeExtractor
 const aiExtractor = require('./aiResumeExtractor');
-
-let candidatesStorage = [];
+const textExtractor = require('../utils/textExtractor');
+const extractionEngines = require('./extractionEngines');
+const hybridExtractor = require('./hybridExtractor');
+const fieldProvenance = require('./fieldProvenance');
+const extractionCache = require('./extractionCache');
+const resumeSegmenter = require('../utils/resumeSegmenter');
+const workHistoryExtractor = require('../utils/workHistoryExtractor');
+const experienceCalculator = require('../utils/experienceCalculator');
+const educationExtractor = require('../utils/educationExtractor');
+const degreeNormalizer = require('../utils/degreeNormalizer');
+const skillTaxonomy = require('./skillTaxonomy');
+
+// Bump when text extraction (PDF/DOCX parsing) changes so cached text is not reused
+const TEXT_EXTRACTION_VERSION = '1';
 
 class ResumeParserService {
   constructor() {
     this.supportedFormats = ['.pdf', '.docx', '.doc', '.txt'];
+
+    this.candidates = dataStore.collection('candidates');
+    this.registerExtractionEngines();
+  }
+
+  registerExtractionEngines() {
+    extractionEngines.register('regex', {
+      description: 'Regex and keyword matching (fast, offline)',
+      version: () => `3/skills-${skillTaxonomy.getVersion()}`,
+      extract: async (text, extractAdditionalFields) => this.extractCandidateInfo(text, extractAdditionalFields)
+    });
+
+    extractionEngines.register('nlp', {
+      description: 'natural-based extractor with context-scored skills and date-range experience',
+      version: () => `4/skills-${skillTaxonomy.getVersion()}`,
+      extract: async (text, extractAdditionalFields) =>
+        textExtractor.extractCandidateInfoAI(text, extractAdditionalFields, skillTaxonomy)
+    });
+
+    extractionEngines.register('llm', {
+      description: 'Large language model extraction',
+      version: () => aiExtractor.getVersion(),
+      extract: async (text, extractAdditionalFields) => aiExtractor.extractCandidateInfoAI(text, extractAdditionalFields)
+    });
+
+    extractionEngines.register('hybrid', {
+      description: 'Runs llm, nlp and regex and merges their results field by field',
+      version: () => hybridExtractor.getVersion(),
+      extract: async (text, extractAdditionalFields) => hybridExtractor.extract(text, extractAdditionalFields)
+    });
   }
 
   // ✅ MAKE IT ASYNC - This is the key fix!
-  async parseResume(filePath, originalName, extractAdditionalFields = false) {
+  // options.metadata is merged into the record before it is stored (e.g. EML source info)
+  // options.engine selects the extraction engine (defaults to EXTRACTION_ENGINE)
+  async parseResume(filePath, originalName, extractAdditionalFields = false, options = {}) {
     try {
       logger.info(`Parsing resume: ${originalName}`);
       
@@ -29,39 +79,50 @@ class ResumeParserService {
         throw new Error(`Unsupported file format: ${fileExtension}`);
       }
 
-      let extractedText = '';
-      switch (fileExtension) {
-        case '.pdf':
-          extractedText = await this.extractTextFromPDF(filePath);
-          break;
-        case '.docx':
-        case '.doc':
-          extractedText = await this.extractTextFromDOCX(filePath);
-          break;
-        case '.txt':
-          extractedText = await fs.readFile(filePath, 'utf-8');
-          break;
-        default:
-          throw new Error(`Unsupported file type: ${fileExtension}`);
+      // The same file (re-uploaded, or inside another EML) is served from the cache
+      const fileHash = await this.computeFileHash(filePath);
+
+      let extractedText = extractionCache.get('text', fileHash, TEXT_EXTRACTION_VERSION);
+      if (extractedText === null) {
+        extractedText = await this.extractText(filePath, fileExtension);
+        if (extractedText.trim()) {
+          extractionCache.set('text', fileHash, TEXT_EXTRACTION_VERSION, extractedText);
+        }
       }
 
       if (!extractedText.trim()) {
         throw new Error('No text content found in the resume');
       }
 
+      // Stored as rawText; section offsets and provenance spans point into this text
+      extractedText = resumeSegmenter.normalize(extractedText);
+
       logger.info(`Extracted text preview: ${extractedText.substring(0, 100)}...`);
 
-      // ✅ KEY FIX: Call AI extraction with await!
-      const candidateData = await this.extractCandidateInfoWithAI(extractedText, extractAdditionalFields);
+      const candidateData = await this.extractCandidateInfoCached(
+        extractedText,
+        extractAdditionalFields,
+        options.engine || extractionEngines.defaultEngine,
+        fileHash
+      );
 
       candidateData.id = uuidv4();
       candidateData.filePath = filePath;
       candidateData.originalFileName = originalName;
       candidateData.processedAt = new Date().toISOString();
       candidateData.fileSize = (await fs.stat(filePath)).size;
+      candidateData.fileHash = fileHash;
       candidateData.rawText = extractedText;
+      candidateData.sections = resumeSegmenter.segment(extractedText);
+      candidateData.workHistory = workHistoryExtractor.extract(extractedText, candidateData.sections);
+      Object.assign(candidateData, experienceCalculator.assess(candidateData));
+      candidateData.education = educationExtractor.extract(extractedText, candidateData.sections);
+      Object.assign(candidateData, fieldProvenance.annotate(candidateData, extractedText));
+      Object.assign(candidateData, pipelineService.initialState(candidateData.processedAt));
+      Object.assign(candidateData, options.metadata || {});
 
-      candidatesStorage.push(candidateData);
+      this.candidates.insert(candidateData);
+      searchIndex.addCandidate(candidateData);
 
       logger.info(`Successfully parsed resume for: ${candidateData.name || 'Unknown'}`);
       return candidateData;
@@ -72,20 +133,77 @@ class ResumeParserService {
     }
   }
 
-  // ✅ NEW ASYNC METHOD - Calls AI with fallback to regex
-  async extractCandidateInfoWithAI(text, extractAdditionalFields = false) {
+  async extractText(filePath, fileExtension) {
+    switch (fileExtension) {
+      case '.pdf':
+        return this.extractTextFromPDF(filePath);
+      case '.docx':
+      case '.doc':
+        return this.extractTextFromDOCX(filePath);
+      case '.txt':
+        return fs.readFile(filePath, 'utf-8');
+      default:
+        throw new Error(`Unsupported file type: ${fileExtension}`);
+    }
+  }
+
+  // Extraction results are cached per file hash and engine version. Degraded results
+  // (a fallback, or a hybrid run with a failed engine) are not cached so they get retried.
+  async extractCandidateInfoCached(text, extractAdditionalFields, engineName, fileHash) {
+    const version = extractionEngines.getVersion(engineName);
+    const variant = extractAdditionalFields ? 'additional' : 'basic';
+
+    const cached = extractionCache.get('extraction', fileHash, version, variant);
+    if (cached) {
+      cached.extractionCached = true;
+      // Nothing was spent on this parse
+      if (cached.llmUsage) {
+        cached.llmUsage = { calls: 0, promptTokens: 0, completionTokens: 0, estimatedCost: 0 };
+      }
+      return cached;
+    }
+
+    const result = await this.extractCandidateInfoWithEngine(text, extractAdditionalFields, engineName);
+    if (!result.requestedExtractionEngine && !result.hybridEngineErrors) {
+      extractionCache.set('extraction', fileHash, version, result, variant);
+    }
+    return result;
+  }
+
+  // Runs the requested engine, falling back to regex if it fails.
+  // The engine that actually produced the data is recorded on the result.
+  async extractCandidateInfoWithEngine(text, extractAdditionalFields = false, engineName = extractionEngines.defaultEngine) {
+    const engine = extractionEngines.get(engineName);
+
     try {
-      logger.info('🤖 Attempting AI extraction with OpenAI GPT-4...');
-      const aiResult = await aiExtractor.extractWithAI(text, extractAdditionalFields);
-      logger.info('✅ AI extraction successful!');
-      return aiResult;
+      logger.info(`Extracting candidate info with '${engineName}' engine`);
+      const result = await engine.extract(text, extractAdditionalFields);
+      result.extractionEngine = engineName;
+      return result;
     } catch (error) {
-      logger.warn('⚠️ AI extraction failed, falling back to regex:', error.message);
-      // Fallback to regex-based extraction
-      return this.extractCandidateInfo(text, extractAdditionalFields);
+      const fallbackName = extractionEngines.fallbackEngine;
+      if (engineName === fallbackName) {
+        throw error;
+      }
+
+      logger.warn(`⚠️ '${engineName}' extraction failed, falling back to ${fallbackName}:`, error.message);
+      const result = await extractionEngines.get(fallbackName).extract(text, extractAdditionalFields);
+      result.extractionEngine = fallbackName;
+      result.requestedExtractionEngine = engineName;
+      result.extractionFallbackReason = error.message;
+      if (error.validationErrors) {
+        result.extractionValidationErrors = error.validationErrors;
+      }
+      return result;
     }
   }
 
+  // SHA-256 of the file content, used to spot the same resume arriving twice
+  async computeFileHash(filePath) {
+    const content = await fs.readFile(filePath);
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
   async extractTextFromPDF(filePath) {
     try {
       const dataBuffer = await fs.readFile(filePath);
@@ -111,19 +229,25 @@ class ResumeParserService {
   // Original regex-based extraction (fallback only)
   extractCandidateInfo(text, extractAdditionalFields = false) {
     const cleanText = this.normalizeText(text);
+    const { textFor } = resumeSegmenter.split(cleanText);
+
+    // Contact details are looked for in the header first, then anywhere
+    const contactText = textFor(['contact']);
+    const skillText = textFor(resumeSegmenter.skillSections);
+    const experience = this.extractExperienceEnhanced(textFor(['summary', 'experience']));
 
     const candidateInfo = {
-      name: this.extractNameEnhanced(cleanText),
-      email: this.extractEmail(cleanText),
-      phone: this.extractPhone(cleanText),
-      experience: this.extractExperienceEnhanced(cleanText),
-      linkedinUrl: this.extractLinkedIn(cleanText),
-      primarySkills: this.extractPrimarySkills(cleanText),
-      secondarySkills: this.extractSecondarySkills(cleanText)
+      name: this.extractNameEnhanced(contactText),
+      email: this.extractEmail(contactText) || this.extractEmail(cleanText),
+      phone: this.extractPhone(contactText) || this.extractPhone(cleanText),
+      experience: experience !== 'Not specified' ? experience : this.extractExperienceEnhanced(cleanText),
+      linkedinUrl: this.extractLinkedIn(contactText) || this.extractLinkedIn(cleanText),
+      primarySkills: this.extractPrimarySkills(skillText),
+      secondarySkills: this.extractSecondarySkills(skillText)
     };
 
     if (extractAdditionalFields) {
-      candidateInfo.additionalFields = this.extractAdditionalFields(cleanText);
+      candidateInfo.additionalFields = this.extractAdditionalFields(cleanText, textFor);
     }
 
     return candidateInfo;
@@ -276,66 +400,25 @@ class ResumeParserService {
     return null;
   }
 
+  // Skills come from the taxonomy (see skillTaxonomy); its weight decides primary or secondary
   extractPrimarySkills(text) {
-    const primarySkillKeywords = [
-      'JavaScript', 'Python', 'Java', 'C++', 'C#', 'PHP', 'Ruby', 'Rust', 'TypeScript',
-      'Swift', 'Kotlin', 'Scala', 'MATLAB', 'SQL', 'Dart', 'Objective-C',
-      'React', 'Angular', 'Vue.js', 'Vue', 'Node.js', 'Express', 'Django', 'Flask', 'Spring',
-      'ASP.NET', 'Laravel', 'Rails', 'HTML', 'CSS', 'Bootstrap', 'Tailwind',
-      'React Native', 'Flutter', 'Xamarin', 'iOS', 'Android',
-      'MySQL', 'PostgreSQL', 'MongoDB', 'Redis', 'Cassandra', 'Oracle', 'SQL Server',
-      'AWS', 'Azure', 'GCP', 'Google Cloud', 'Heroku',
-      'Docker', 'Kubernetes', 'Jenkins', 'Terraform', 'Ansible',
-      'SAP', 'SAP ISU', 'SAP FICA'
-    ];
-
-    return this.findSkillsInText(text, primarySkillKeywords).slice(0, 8);
+    return skillTaxonomy.findInText(text, { weight: 'primary' }).slice(0, 8);
   }
 
   extractSecondarySkills(text) {
-    const secondarySkillKeywords = [
-      'Git', 'GitHub', 'GitLab', 'Bitbucket', 'SVN',
-      'JIRA', 'Confluence', 'Slack', 'Trello', 'Asana', 'ServiceNow',
-      'Photoshop', 'Illustrator', 'Figma', 'Sketch', 'InVision', 'Adobe XD',
-      'Agile', 'Scrum', 'Kanban', 'DevOps', 'CI/CD', 'TDD', 'BDD',
-      'JUnit', 'Jest', 'Cypress', 'Selenium', 'Postman', 'TestNG', 'Manual Testing',
-      'TensorFlow', 'PyTorch', 'Pandas', 'NumPy', 'Scikit-learn', 'Tableau',
-      'Power BI', 'Matplotlib', 'Keras',
-      'REST API', 'GraphQL', 'Microservices', 'SOAP', 'JSON', 'XML'
-    ];
-
-    return this.findSkillsInText(text, secondarySkillKeywords).slice(0, 8);
-  }
-
-  findSkillsInText(text, skillKeywords) {
-    const foundSkills = [];
-    const textLower = text.toLowerCase();
-
-    for (const skill of skillKeywords) {
-      const skillLower = skill.toLowerCase();
-      
-      const patterns = [
-        new RegExp(`\\b${this.escapeRegex(skillLower)}\\b`, 'i'),
-        new RegExp(`${this.escapeRegex(skillLower)}`, 'i'),
-      ];
-
-      if (patterns.some(pattern => pattern.test(textLower))) {
-        foundSkills.push(skill);
-      }
-    }
-
-    return foundSkills;
+    return skillTaxonomy.findInText(text, { weight: 'secondary' }).slice(0, 8);
   }
 
   escapeRegex(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
-  extractAdditionalFields(text) {
+  // textFor(labels) narrows the text to resume sections (see resumeSegmenter.split)
+  extractAdditionalFields(text, textFor = () => text) {
     return {
-      education: this.extractEducation(text),
-      location: this.extractLocation(text),
-      summary: this.extractSummary(text),
+      education: this.extractEducation(textFor(['education'])),
+      location: this.extractLocation(textFor(['contact'])) || this.extractLocation(text),
+      summary: this.extractSummary(textFor(['summary'])),
     };
   }
 
@@ -390,45 +473,241 @@ class ResumeParserService {
   }
 
   getAllCandidates() {
-    return [...candidatesStorage];
+    return this.candidates.all();
   }
 
   getCandidateById(id) {
-    return candidatesStorage.find(candidate => candidate.id === id);
+    return this.candidates.findById(id);
   }
 
-  async clearAllCandidates() {
-    const count = candidatesStorage.length;
+  // Manual correction of parsed fields; every changed field is written to the history
+  updateCandidate(id, changes, changedBy) {
+    const candidate = this.getCandidateById(id);
+    if (!candidate) {
+      return null;
+    }
+
+    const fieldChanges = candidateHistory.diff(candidate, changes);
+    if (fieldChanges.length === 0) {
+      return { candidate, changes: [] };
+    }
+
+    const provenance = fieldProvenance.markManual(candidate, fieldChanges, changedBy);
+    const updated = this.candidates.update(id, {
+      ...changes,
+      ...provenance,
+      // A corrected experience value or work history changes the computed total
+      ...(fieldChanges.some(change => ['experience', 'workHistory'].includes(change.field))
+        ? experienceCalculator.assess({ ...candidate, ...changes, ...provenance })
+        : {})
+    });
+    candidateHistory.record(id, fieldChanges, changedBy);
 
-    for (const candidate of candidatesStorage) {
-      if (candidate.filePath) {
-        await fs.remove(candidate.filePath).catch(() => {});
+    logger.info(`Updated candidate ${id} (${fieldChanges.map(change => change.field).join(', ')}) by ${changedBy}`);
+    return { candidate: updated, changes: fieldChanges };
+  }
+
+  async deleteCandidate(id, changedBy) {
+    const candidate = this.candidates.remove(id);
+    if (!candidate) {
+      return null;
+    }
+
+    searchIndex.removeCandidate(id);
+    await this.removeCandidateFiles(candidate);
+    candidateHistory.record(id, [{ field: '*', oldValue: candidate.name, newValue: null }], changedBy, 'delete');
+
+    logger.info(`Deleted candidate ${id} (${candidate.name}) by ${changedBy}`);
+    return candidate;
+  }
+
+  async removeCandidateFiles(candidate) {
+    // Merged candidates keep the files of every record they absorbed
+    const filePaths = new Set([
+      candidate.filePath,
+      ...(candidate.sourceFiles || []).map(source => source.filePath)
+    ]);
+
+    for (const filePath of filePaths) {
+      if (filePath) {
+        await fs.remove(filePath).catch(() => {});
       }
     }
+  }
+
+  async clearAllCandidates() {
+    const candidates = this.candidates.all();
+
+    for (const candidate of candidates) {
+      await this.removeCandidateFiles(candidate);
+    }
 
-    candidatesStorage = [];
+    const count = this.candidates.clear();
+    searchIndex.clear();
     logger.info(`Cleared ${count} candidate records and associated files`);
     return count;
   }
 
   getCandidatesCount() {
-    return candidatesStorage.length;
+    return this.candidates.count();
   }
 
+  // Aliases match too: "ReactJS" finds candidates with React
   getCandidatesBySkill(skill) {
-    return candidatesStorage.filter(candidate =>
-      candidate.primarySkills.includes(skill) ||
-      candidate.secondarySkills.includes(skill)
+    return this.candidates.find(candidate =>
+      [...(candidate.primarySkills || []), ...(candidate.secondarySkills || [])]
+        .some(candidateSkill => skillTaxonomy.sameSkill(candidateSkill, skill))
     );
   }
 
-  getCandidatesByExperience(minYears, maxYears) {
-    return candidatesStorage.filter(candidate => {
-      const exp = parseFloat(candidate.experience) || 0;
-      return exp >= minYears && exp <= maxYears;
+  getCandidatesByExperience(minYears = 0, maxYears = Infinity) {
+    return this.candidates.find(candidate => {
+      const months = candidate.experienceMonths || 0;
+      return months >= minYears * 12 && months <= maxYears * 12;
     });
   }
 
+  // Filter, sort, paginate and project candidates for GET /api/candidates
+  queryCandidates(options = {}) {
+    const {
+      q,
+      skills = [],
+      minExperience,
+      maxExperience,
+      experienceDiscrepancy,
+      minQualification,
+      location,
+      sourceEml,
+      promptVersion,
+      processedFrom,
+      processedTo,
+      sort = 'processedAt',
+      order = 'desc',
+      limit = 50,
+      cursor,
+      fields
+    } = options;
+
+    let candidates = this.getAllCandidates();
+
+    const keepOnly = (matches) => {
+      const ids = new Set(matches.map(candidate => candidate.id));
+      candidates = candidates.filter(candidate => ids.has(candidate.id));
+    };
+
+    if (q) {
+      candidates = candidates.filter(skillQuery.compile(q, (a, b) => skillTaxonomy.sameSkill(a, b)));
+    }
+
+    skills.forEach(skill => keepOnly(this.getCandidatesBySkill(skill)));
+
+    if (minExperience !== undefined || maxExperience !== undefined) {
+      keepOnly(this.getCandidatesByExperience(minExperience, maxExperience));
+    }
+
+    if (experienceDiscrepancy !== undefined) {
+      candidates = candidates.filter(candidate =>
+        !!candidate.experienceCalculation?.discrepancy === experienceDiscrepancy
+      );
+    }
+
+    if (minQualification) {
+      candidates = candidates.filter(candidate => degreeNormalizer.meetsMinimum(candidate.education || [], minQualification));
+    }
+
+    if (location) {
+      const locationLower = location.toLowerCase();
+      candidates = candidates.filter(candidate =>
+        (candidate.additionalFields?.location || '').toLowerCase().includes(locationLower)
+      );
+    }
+
+    if (sourceEml) {
+      const sourceLower = sourceEml.toLowerCase();
+      candidates = candidates.filter(candidate =>
+        (candidate.sourceEml || '').toLowerCase().includes(sourceLower)
+      );
+    }
+
+    if (promptVersion) {
+      candidates = candidates.filter(candidate => candidate.promptVersion === promptVersion);
+    }
+
+    if (processedFrom) {
+      const from = new Date(processedFrom);
+      candidates = candidates.filter(candidate => new Date(candidate.processedAt) >= from);
+    }
+
+    if (processedTo) {
+      const to = new Date(processedTo);
+      candidates = candidates.filter(candidate => new Date(candidate.processedAt) <= to);
+    }
+
+    candidates.sort(this.getCandidateComparator(sort, order));
+
+    const total = candidates.length;
+    const offset = cursor ? this.decodeCursor(cursor) : 0;
+    const page = candidates.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+
+    return {
+      total,
+      candidates: page.map(candidate => this.projectCandidate(candidate, fields)),
+      nextCursor: nextOffset < total ? this.encodeCursor(nextOffset) : null
+    };
+  }
+
+  getCandidateComparator(sort, order) {
+    const direction = order === 'asc' ? 1 : -1;
+    const sortValue = {
+      processedAt: candidate => candidate.processedAt || '',
+      experience: candidate => candidate.experienceMonths || 0,
+      name: candidate => (candidate.name || '').toLowerCase()
+    }[sort];
+
+    return (a, b) => {
+      const valueA = sortValue(a);
+      const valueB = sortValue(b);
+      if (valueA < valueB) return -direction;
+      if (valueA > valueB) return direction;
+      return a.id < b.id ? -1 : 1;
+    };
+  }
+
+  // rawText is excluded unless explicitly requested via fields
+  projectCandidate(candidate, fields) {
+    if (!fields || fields.length === 0) {
+      const { rawText, ...rest } = candidate;
+      return rest;
+    }
+
+    return ['id', ...fields].reduce((projected, field) => {
+      if (candidate[field] !== undefined) {
+        projected[field] = candidate[field];
+      }
+      return projected;
+    }, {});
+  }
+
+  encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+      if (Number.isInteger(offset) && offset >= 0) {
+        return offset;
+      }
+    } catch (error) {
+      // fall through to the error below
+    }
+
+    const error = new Error('Invalid pagination cursor');
+    error.status = 400;
+    throw error;
+  }
+
   getStatistics() {
     const candidates = this.getAllCandidates();
     const totalCandidates = candidates.length;
@@ -439,12 +718,13 @@ class ResumeParserService {
         avgExperience: 0,
         linkedinProfiles: 0,
         topSkills: {},
+        skillCategories: {},
         experienceDistribution: {}
       };
     }
 
     const experiences = candidates
-      .map(c => parseFloat(c.experience) || 0)
+      .map(c => experienceCalculator.yearsOf(c))
       .filter(exp => exp > 0);
 
     const avgExperience = experiences.length > 0
@@ -453,14 +733,9 @@ class ResumeParserService {
 
     const linkedinProfiles = candidates.filter(c => c.linkedinUrl).length;
 
-    const skillCounts = {};
-    candidates.forEach(candidate => {
-      [...candidate.primarySkills, ...candidate.secondarySkills].forEach(skill => {
-        skillCounts[skill] = (skillCounts[skill] || 0) + 1;
-      });
-    });
+    const skillCounts = skillTaxonomy.countSkills(candidates);
 
-    const topSkills = Object.entries(skillCounts)
+    const topSkills = Object.entries(skillCounts.skills)
       .sort(([,a], [,b]) => b - a)
       .slice(0, 20)
       .reduce((obj, [skill, count]) => {
@@ -476,7 +751,7 @@ class ResumeParserService {
     };
 
     candidates.forEach(candidate => {
-      const exp = parseFloat(candidate.experience) || 0;
+      const exp = experienceCalculator.yearsOf(candidate);
       if (exp <= 2) experienceDistribution['0-2']++;
       else if (exp <= 5) experienceDistribution['3-5']++;
       else if (exp <= 10) experienceDistribution['6-10']++;
@@ -488,6 +763,7 @@ class ResumeParserService {
       avgExperience: parseFloat(avgExperience),
       linkedinProfiles,
       topSkills,
+      skillCategories: skillCounts.categories,
       experienceDistribution
     };
   }
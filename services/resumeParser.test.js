@@ -0,0 +1,68 @@
+process.env.DATA_STORE = 'memory';
+
+// Querying never reaches the LLM client
+jest.mock('./aiResumeExtractor', () => ({}));
+
+const dataStore = require('./dataStore');
+const resumeParserService = require('./resumeParser');
+
+const candidates = dataStore.collection('candidates');
+
+describe('resumeParserService cursors', () => {
+  test('a cursor round-trips its offset', () => {
+    const cursor = resumeParserService.encodeCursor(40);
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(resumeParserService.decodeCursor(cursor)).toBe(40);
+  });
+
+  test.each([
+    ['not base64 json', 'bm9wZQ'],
+    ['a negative offset', Buffer.from(JSON.stringify({ offset: -1 })).toString('base64url')],
+    ['a fractional offset', Buffer.from(JSON.stringify({ offset: 1.5 })).toString('base64url')],
+    ['no offset', Buffer.from('{}').toString('base64url')]
+  ])('%s is a 400', (label, cursor) => {
+    expect(() => resumeParserService.decodeCursor(cursor))
+      .toThrow(expect.objectContaining({ message: 'Invalid pagination cursor', status: 400 }));
+  });
+});
+
+describe('resumeParserService.queryCandidates', () => {
+  beforeAll(() => {
+    candidates.clear();
+    ['Asha', 'Bruno', 'Chen', 'Dana', 'Emeka'].map((name, index) => ({
+      id: `c${index + 1}`,
+      name,
+      processedAt: `2024-01-0${index + 1}T00:00:00.000Z`,
+      primarySkills: index % 2 === 0 ? ['Java'] : ['Python'],
+      secondarySkills: [],
+      rawText: `${name} resume`
+    })).forEach(candidate => candidates.insert(candidate));
+  });
+
+  test('pages follow the cursor until there is no next page', () => {
+    const names = [];
+    let cursor;
+
+    do {
+      const page = resumeParserService.queryCandidates({ sort: 'name', order: 'asc', limit: 2, cursor, fields: ['name'] });
+      expect(page.total).toBe(5);
+      names.push(...page.candidates.map(candidate => candidate.name));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(names).toEqual(['Asha', 'Bruno', 'Chen', 'Dana', 'Emeka']);
+  });
+
+  test('the newest candidates come first by default and rawText is left out', () => {
+    const { candidates: page } = resumeParserService.queryCandidates({ limit: 1 });
+    expect(page[0].name).toBe('Emeka');
+    expect(page[0].rawText).toBeUndefined();
+  });
+
+  test('filters apply before paging', () => {
+    const { total, candidates: page, nextCursor } = resumeParserService.queryCandidates({ q: 'Java', sort: 'name', order: 'asc', fields: ['name'] });
+    expect(total).toBe(3);
+    expect(page).toEqual([{ id: 'c1', name: 'Asha' }, { id: 'c3', name: 'Chen' }, { id: 'c5', name: 'Emeka' }]);
+    expect(nextCursor).toBeNull();
+  });
+});
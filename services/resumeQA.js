@@ -0,0 +1,98 @@
+const aiExtractor = require('./aiResumeExtractor');
+const llmResponseValidator = require('../utils/llmResponseValidator');
+const logger = require('../utils/logger');
+
+// Answers recruiter questions about one candidate from their resume text only.
+// Lines are numbered in the prompt so the answer can cite them, and citations
+// are checked against the text before they are returned.
+class ResumeQAService {
+  constructor() {
+    // Longer resumes are cut; questions are usually about the whole career, so keep most of it
+    this.maxChars = parseInt(process.env.RESUME_QA_MAX_CHARS || '12000');
+  }
+
+  numberLines(rawText) {
+    const lines = [];
+    rawText.split('\n').forEach((text, index) => {
+      if (text.trim()) {
+        lines.push({ line: index + 1, text: text.trim() });
+      }
+    });
+    return lines;
+  }
+
+  buildPrompt(lines, question) {
+    let numbered = '';
+    for (const { line, text } of lines) {
+      const entry = `${line}: ${text}\n`;
+      if (numbered.length + entry.length > this.maxChars) break;
+      numbered += entry;
+    }
+
+    return `Answer the recruiter's question using only the resume below. Each resume line starts with its line number.
+
+Resume Lines:
+${numbered}
+Question: ${question}
+
+Reply with only a JSON object:
+{
+    "answer": "a short answer in one or two sentences",
+    "found": true,
+    "citedLines": [1, 2]
+}
+
+"citedLines" lists the numbers of the lines that support the answer. If the resume does not contain the information, set "found" to false, "citedLines" to [] and say so in "answer". Do not guess or use outside knowledge.`;
+  }
+
+  async ask(candidate, question) {
+    if (!candidate.rawText || !candidate.rawText.trim()) {
+      const error = new Error('Candidate has no resume text to answer from');
+      error.status = 422;
+      throw error;
+    }
+
+    const lines = this.numberLines(candidate.rawText);
+    let response;
+    try {
+      response = await aiExtractor.quickAnalyze(this.buildPrompt(lines, question), 'question');
+    } catch (cause) {
+      // Provider status codes (401, 429, ...) describe our credentials, not the caller's request
+      const error = new Error(`Could not get an answer from the LLM: ${cause.message}`);
+      error.code = cause.code;
+      error.status = cause.code === 'LLM_BUDGET_EXCEEDED' ? 503 : 502;
+      throw error;
+    }
+
+    const { value, errors } = llmResponseValidator.validateAnswer(response);
+
+    if (errors) {
+      const error = new Error(`LLM answer failed validation: ${errors.join('; ')}`);
+      error.code = 'LLM_INVALID_RESPONSE';
+      error.status = 502;
+      error.validationErrors = errors;
+      throw error;
+    }
+
+    // Only lines that exist in the resume count as citations
+    const byNumber = new Map(lines.map(entry => [entry.line, entry]));
+    const citations = [...new Set(value.citedLines)]
+      .filter(line => byNumber.has(line))
+      .sort((a, b) => a - b)
+      .map(line => byNumber.get(line));
+
+    const found = value.found && citations.length > 0;
+    if (value.found && !found) {
+      logger.warn(`Answer for candidate ${candidate.id} cited no resume lines; reporting it as not found`);
+    }
+
+    return {
+      question,
+      answer: found || (!value.found && value.answer) ? value.answer : 'The resume does not contain this information.',
+      found,
+      citations
+    };
+  }
+}
+
+module.exports = new ResumeQAService();
@@ -0,0 +1,75 @@
+process.env.DATA_STORE = 'memory';
+
+const aiExtractor = require('./aiResumeExtractor');
+const resumeQA = require('./resumeQA');
+
+const candidate = {
+  id: 'c1',
+  rawText: 'JANE DOE\n\nLed a team of 6 QA engineers at Acme\nTested SAP MM and SAP SD modules\n5 years of experience'
+};
+
+const replyWith = (response) => jest.spyOn(aiExtractor, 'quickAnalyze').mockResolvedValue(JSON.stringify(response));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resumeQA.numberLines', () => {
+  test('blank lines are skipped but keep their number', () => {
+    expect(resumeQA.numberLines(candidate.rawText).map(entry => entry.line)).toEqual([1, 3, 4, 5]);
+  });
+});
+
+describe('resumeQA.ask', () => {
+  test('cited lines come back with their text', async () => {
+    replyWith({ answer: 'Yes, a team of 6 at Acme.', found: true, citedLines: [3] });
+
+    await expect(resumeQA.ask(candidate, 'Has this person led a team?')).resolves.toEqual({
+      question: 'Has this person led a team?',
+      answer: 'Yes, a team of 6 at Acme.',
+      found: true,
+      citations: [{ line: 3, text: 'Led a team of 6 QA engineers at Acme' }]
+    });
+  });
+
+  test('citations of lines that do not exist are dropped and duplicates removed', async () => {
+    replyWith({ answer: 'SAP MM and SD.', found: true, citedLines: [4, 2, 99, 4] });
+
+    const result = await resumeQA.ask(candidate, 'Which SAP modules?');
+    expect(result.citations).toEqual([{ line: 4, text: 'Tested SAP MM and SAP SD modules' }]);
+  });
+
+  test('an answer without a valid citation is reported as not found', async () => {
+    replyWith({ answer: 'Yes, Kubernetes at Acme.', found: true, citedLines: [42] });
+
+    await expect(resumeQA.ask(candidate, 'Do they know Kubernetes?')).resolves.toMatchObject({
+      answer: 'The resume does not contain this information.',
+      found: false,
+      citations: []
+    });
+  });
+
+  test('a "not found" answer is passed through', async () => {
+    replyWith({ answer: 'The resume does not mention Kubernetes.', found: false, citedLines: [] });
+
+    const result = await resumeQA.ask(candidate, 'Do they know Kubernetes?');
+    expect(result).toMatchObject({ answer: 'The resume does not mention Kubernetes.', found: false });
+  });
+
+  test('an invalid reply is a 502', async () => {
+    jest.spyOn(aiExtractor, 'quickAnalyze').mockResolvedValue('I think so');
+
+    await expect(resumeQA.ask(candidate, 'Has this person led a team?'))
+      .rejects.toMatchObject({ code: 'LLM_INVALID_RESPONSE', status: 502 });
+  });
+
+  test('an exhausted LLM budget is a 503', async () => {
+    jest.spyOn(aiExtractor, 'quickAnalyze').mockRejectedValue(Object.assign(new Error('Daily LLM budget reached'), { code: 'LLM_BUDGET_EXCEEDED' }));
+
+    await expect(resumeQA.ask(candidate, 'Has this person led a team?')).rejects.toMatchObject({ status: 503 });
+  });
+
+  test('a candidate without resume text is a 422', async () => {
+    await expect(resumeQA.ask({ id: 'c2', rawText: ' ' }, 'Anything?')).rejects.toMatchObject({ status: 422 });
+  });
+});
@@ -0,0 +1,190 @@
+const natural = require('natural');
+const dataStore = require('./dataStore');
+const logger = require('../utils/logger');
+
+// Inverted index over candidate rawText, ranked with BM25
+class SearchIndexService {
+  constructor() {
+    this.stemmer = natural.PorterStemmer;
+    this.stopwords = new Set(natural.stopwords);
+    this.candidates = dataStore.collection('candidates');
+
+    // term -> Map(candidateId -> [{ start, end }])
+    this.postings = new Map();
+    this.documentLengths = new Map();
+    this.built = false;
+
+    this.k1 = 1.2;
+    this.b = 0.75;
+    this.snippetRadius = 60;
+    this.maxSnippets = 3;
+  }
+
+  // Tokens keep their offsets in the original text so snippets can be highlighted
+  tokenize(text) {
+    const tokens = [];
+    const tokenPattern = /[A-Za-z0-9][A-Za-z0-9+#]*/g;
+    let match;
+
+    while ((match = tokenPattern.exec(text)) !== null) {
+      const word = match[0].toLowerCase();
+      if (this.stopwords.has(word)) continue;
+
+      tokens.push({
+        term: this.stemmer.stem(word),
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+
+    return tokens;
+  }
+
+  ensureBuilt() {
+    if (this.built) return;
+
+    this.built = true;
+    const candidates = this.candidates.all();
+    candidates.forEach(candidate => this.addCandidate(candidate));
+    logger.info(`Search index built for ${candidates.length} candidates`);
+  }
+
+  addCandidate(candidate) {
+    if (!this.built) {
+      // The full build picks this candidate up from the store
+      return;
+    }
+
+    this.removeCandidate(candidate.id);
+
+    const tokens = this.tokenize(candidate.rawText || '');
+    tokens.forEach(token => {
+      if (!this.postings.has(token.term)) {
+        this.postings.set(token.term, new Map());
+      }
+
+      const termPostings = this.postings.get(token.term);
+      if (!termPostings.has(candidate.id)) {
+        termPostings.set(candidate.id, []);
+      }
+      termPostings.get(candidate.id).push({ start: token.start, end: token.end });
+    });
+
+    this.documentLengths.set(candidate.id, tokens.length);
+  }
+
+  removeCandidate(id) {
+    if (!this.documentLengths.has(id)) return;
+
+    for (const [term, termPostings] of this.postings) {
+      termPostings.delete(id);
+      if (termPostings.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    this.documentLengths.delete(id);
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documentLengths.clear();
+  }
+
+  search(query, limit = 20) {
+    this.ensureBuilt();
+
+    const terms = [...new Set(this.tokenize(query).map(token => token.term))];
+    const documentCount = this.documentLengths.size;
+    if (terms.length === 0 || documentCount === 0) {
+      return [];
+    }
+
+    const avgLength = [...this.documentLengths.values()].reduce((sum, length) => sum + length, 0) / documentCount;
+    const scores = new Map();
+
+    terms.forEach(term => {
+      const termPostings = this.postings.get(term);
+      if (!termPostings) return;
+
+      const idf = Math.log(1 + (documentCount - termPostings.size + 0.5) / (termPostings.size + 0.5));
+
+      termPostings.forEach((positions, id) => {
+        const frequency = positions.length;
+        const lengthNorm = 1 - this.b + this.b * (this.documentLengths.get(id) / avgLength);
+        const termScore = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+
+        const entry = scores.get(id) || { score: 0, matchedTerms: [], positions: [] };
+        entry.score += termScore;
+        entry.matchedTerms.push(term);
+        entry.positions.push(...positions);
+        scores.set(id, entry);
+      });
+    });
+
+    // Entries can outlive their record (store reload, clear, merge); those are skipped
+    return [...scores.entries()]
+      .sort(([, a], [, b]) => b.score - a.score)
+      .map(([id, entry]) => ({ id, entry, candidate: this.candidates.findById(id) }))
+      .filter(({ candidate }) => candidate)
+      .slice(0, limit)
+      .map(({ id, entry, candidate }) => ({
+        candidateId: id,
+        score: parseFloat(entry.score.toFixed(4)),
+        matchedTerms: entry.matchedTerms,
+        snippets: this.buildSnippets(candidate.rawText || '', entry.positions)
+      }));
+  }
+
+  // Resume text is untrusted; snippets are HTML, so everything but the <mark> tags is escaped
+  escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Group nearby matches into windows and wrap each match in <mark> tags
+  buildSnippets(text, positions) {
+    const sorted = [...positions].sort((a, b) => a.start - b.start);
+    const windows = [];
+
+    sorted.forEach(position => {
+      const last = windows[windows.length - 1];
+      if (last && position.start - this.snippetRadius <= last.end) {
+        last.end = Math.min(text.length, position.end + this.snippetRadius);
+        last.matches.push(position);
+      } else {
+        windows.push({
+          start: Math.max(0, position.start - this.snippetRadius),
+          end: Math.min(text.length, position.end + this.snippetRadius),
+          matches: [position]
+        });
+      }
+    });
+
+    return windows
+      .sort((a, b) => b.matches.length - a.matches.length)
+      .slice(0, this.maxSnippets)
+      .sort((a, b) => a.start - b.start)
+      .map(window => {
+        let snippet = '';
+        let cursor = window.start;
+
+        window.matches.forEach(match => {
+          snippet += this.escapeHtml(text.substring(cursor, match.start)) +
+            `<mark>${this.escapeHtml(text.substring(match.start, match.end))}</mark>`;
+          cursor = match.end;
+        });
+        snippet += this.escapeHtml(text.substring(cursor, window.end));
+
+        return {
+          text: `${window.start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${window.end < text.length ? '…' : ''}`,
+          offset: window.start
+        };
+      });
+  }
+}
+
+module.exports = new SearchIndexService();
@@ -0,0 +1,76 @@
+process.env.DATA_STORE = 'memory';
+
+const dataStore = require('./dataStore');
+const searchIndex = require('./searchIndex');
+
+const candidates = dataStore.collection('candidates');
+
+const add = (id, rawText) => {
+  const candidate = candidates.insert({ id, rawText });
+  searchIndex.addCandidate(candidate);
+  return candidate;
+};
+
+describe('searchIndex.search', () => {
+  beforeEach(() => {
+    candidates.clear();
+    searchIndex.clear();
+    add('selenium-heavy', 'Selenium automation with Selenium Grid and Selenium IDE for web testing');
+    add('selenium-once', 'Manual testing lead who has used Selenium once, mostly test planning and reporting for large teams');
+    add('java', 'Java developer building Spring services');
+  });
+
+  test('more occurrences in a shorter resume rank higher', () => {
+    const results = searchIndex.search('selenium');
+    expect(results.map(result => result.candidateId)).toEqual(['selenium-heavy', 'selenium-once']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('terms are stemmed and stopwords ignored', () => {
+    const results = searchIndex.search('the tested');
+    expect(results.map(result => result.candidateId).sort()).toEqual(['selenium-heavy', 'selenium-once']);
+    expect(results[0].matchedTerms).toEqual(['test']);
+  });
+
+  test('a query of only stopwords finds nothing', () => {
+    expect(searchIndex.search('the and of')).toEqual([]);
+  });
+
+  test('the limit caps the results', () => {
+    expect(searchIndex.search('selenium testing', 1)).toHaveLength(1);
+  });
+
+  test('re-adding a candidate replaces its old text', () => {
+    add('java', 'Kotlin developer');
+    expect(searchIndex.search('java')).toEqual([]);
+    expect(searchIndex.search('kotlin').map(result => result.candidateId)).toEqual(['java']);
+  });
+
+  test('index entries whose candidate is gone are skipped', () => {
+    candidates.remove('selenium-heavy');
+    expect(searchIndex.search('selenium').map(result => result.candidateId)).toEqual(['selenium-once']);
+  });
+});
+
+describe('searchIndex.buildSnippets', () => {
+  const snippetsFor = (text, query) => {
+    const terms = searchIndex.tokenize(query).map(token => token.term);
+    const positions = searchIndex.tokenize(text).filter(token => terms.includes(token.term));
+    return searchIndex.buildSnippets(text, positions);
+  };
+
+  test('matches are marked and the resume text is HTML-escaped', () => {
+    expect(snippetsFor('Built <script>alert("x")</script> & Selenium suites', 'selenium')).toEqual([
+      { text: 'Built &lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; <mark>Selenium</mark> suites', offset: 0 }
+    ]);
+  });
+
+  test('distant matches get their own snippet with ellipses', () => {
+    const text = `Selenium ${'filler '.repeat(30)}Selenium`;
+    const snippets = snippetsFor(text, 'selenium');
+
+    expect(snippets).toHaveLength(2);
+    expect(snippets[0].text).toMatch(/^<mark>Selenium<\/mark> filler .*…$/);
+    expect(snippets[1].text).toMatch(/^….* filler <mark>Selenium<\/mark>$/);
+  });
+});
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const dataStore = require('./dataStore');
+const logger = require('../utils/logger');
+
+const WEIGHTS = ['primary', 'secondary'];
+
+// The one list of skills every extractor, the job description parser and the stats use.
+// Each skill has a canonical name, aliases ("ReactJS" -> React, "k8s" -> Kubernetes),
+// a category and a weight: primary skills go to primarySkills, secondary ones to
+// secondarySkills. The skills collection is seeded by migration 9 and maintained via /api/skills.
+class SkillTaxonomyService {
+  constructor() {
+    this.skills = dataStore.collection('skills');
+    this.weights = WEIGHTS;
+    // Lookups are rebuilt when the taxonomy changes (or the store is reloaded)
+    this.compiled = null;
+    this.revision = 0;
+  }
+
+  // Lowercase with single spaces, the form names and aliases are compared in
+  key(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  getCompiled() {
+    const records = this.skills.records();
+    if (this.compiled && this.compiled.records === records && this.compiled.revision === this.revision) {
+      return this.compiled;
+    }
+
+    const signature = JSON.stringify(records.map(({ name, aliases, category, weight, caseSensitiveTerms }) =>
+      [name, aliases, category, weight, caseSensitiveTerms || []]));
+
+    const byKey = new Map();
+    const matchers = records.map(record => {
+      const terms = [record.name, ...(record.aliases || [])];
+      terms.forEach(term => byKey.set(this.key(term), record));
+
+      // Terms listed in caseSensitiveTerms ("Go", "TS") only match in that exact case;
+      // the others ("Golang", "TypeScript") match in any case
+      const exact = new Set((record.caseSensitiveTerms || []).map(term => this.key(term)));
+      const patterns = [
+        this.buildPattern(terms.filter(term => !exact.has(this.key(term))), 'gi'),
+        this.buildPattern(terms.filter(term => exact.has(this.key(term))), 'g')
+      ].filter(Boolean);
+
+      return { record, terms, patterns };
+    });
+
+    this.compiled = {
+      records,
+      revision: this.revision,
+      byKey,
+      matchers,
+      version: crypto.createHash('sha1').update(signature).digest('hex').substring(0, 8)
+    };
+    return this.compiled;
+  }
+
+  // Longer terms first so "React Native" is tried before "React"; no partial-word matches
+  // ("Java" is not found in "JavaScript", "Go" not in "Google")
+  buildPattern(terms, flags) {
+    if (terms.length === 0) {
+      return null;
+    }
+
+    const alternatives = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map(term => this.escapeRegex(term.trim()).replace(/\s+/g, '\\s+'));
+    return new RegExp(`(?<![\\w+#.])(?:${alternatives.join('|')})(?![\\w+#]|\\.\\w)`, flags);
+  }
+
+  // Every mention of one skill's terms in the text, as [{ index, text }] in text order
+  matchTerms({ patterns }, text) {
+    return patterns
+      .flatMap(pattern => [...String(text || '').matchAll(pattern)])
+      .map(match => ({ index: match.index, text: match[0] }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  // Changes with the taxonomy, so cached extractions made with an older one are not reused
+  getVersion() {
+    return this.getCompiled().version;
+  }
+
+  list({ category, weight, q } = {}) {
+    const query = q ? this.key(q) : null;
+    return this.skills.all()
+      .filter(record => !category || record.category === category)
+      .filter(record => !weight || record.weight === weight)
+      .filter(record => !query || [record.name, ...record.aliases].some(term => this.key(term).includes(query)))
+      .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.skills.findById(id);
+  }
+
+  // Skill count per category
+  getCategories() {
+    return this.skills.all().reduce((counts, record) => {
+      counts[record.category] = (counts[record.category] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  // The record a name or alias refers to, or undefined
+  lookup(name) {
+    return this.getCompiled().byKey.get(this.key(name));
+  }
+
+  // Canonical name for a known skill; unknown skills are returned unchanged
+  canonicalize(name) {
+    const record = this.lookup(name);
+    return record ? record.name : String(name).trim();
+  }
+
+  // Canonical names with duplicates ("React", "ReactJS") removed, order kept
+  normalizeSkills(names = []) {
+    const seen = new Set();
+    return names
+      .map(name => this.canonicalize(name))
+      .filter(name => {
+        const key = this.key(name);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  // Whether two skill names refer to the same skill
+  sameSkill(a, b) {
+    return this.key(this.canonicalize(a)) === this.key(this.canonicalize(b));
+  }
+
+  // Candidates per skill (by canonical name, so React and ReactJS are counted together) and
+  // candidates per category. A candidate counts once for each skill and each category.
+  countSkills(candidates) {
+    const skills = {};
+    const categories = {};
+
+    candidates.forEach(candidate => {
+      const names = this.normalizeSkills([...(candidate.primarySkills || []), ...(candidate.secondarySkills || [])]);
+      names.forEach(name => {
+        skills[name] = (skills[name] || 0) + 1;
+      });
+
+      new Set(names.map(name => this.lookup(name)).filter(Boolean).map(record => record.category))
+        .forEach(category => {
+          categories[category] = (categories[category] || 0) + 1;
+        });
+    });
+
+    return { skills, categories };
+  }
+
+  // Skills mentioned in the text, as { record, mentions: [{ index, text }] } in taxonomy order.
+  // Options narrow the search to a weight or to categories.
+  findMentions(text, { weight, categories } = {}) {
+    const found = this.getCompiled().matchers.map(matcher => ({
+      record: matcher.record,
+      mentions: this.matchTerms(matcher, text)
+    }));
+
+    // A mention inside a longer one of another skill does not count ("React" in "React Native")
+    const all = found.flatMap(({ record, mentions }) => mentions.map(mention => ({ record, ...mention })));
+    const isCovered = (record, mention) => all.some(other => other.record !== record &&
+      other.text.length > mention.text.length &&
+      other.index <= mention.index &&
+      other.index + other.text.length >= mention.index + mention.text.length);
+
+    return found
+      .filter(({ record }) => !weight || record.weight === weight)
+      .filter(({ record }) => !categories || categories.includes(record.category))
+      .map(({ record, mentions }) => ({ record, mentions: mentions.filter(mention => !isCovered(record, mention)) }))
+      .filter(({ mentions }) => mentions.length > 0);
+  }
+
+  // First place the skill is mentioned under its name or any alias, as { index, text }, or null
+  findFirstMention(name, text) {
+    const record = this.lookup(name);
+    const matcher = record && this.getCompiled().matchers.find(candidate => candidate.record === record);
+    if (!matcher) {
+      return null;
+    }
+
+    const [mention] = this.matchTerms(matcher, text);
+    return mention || null;
+  }
+
+  // Canonical names of the skills mentioned in the text
+  findInText(text, options) {
+    return this.findMentions(text, options).map(found => found.record.name);
+  }
+
+  // Throws a 409 when a name or alias already belongs to another skill, and a 400 when a
+  // case-sensitive term is neither the name nor an alias
+  checkConflicts(data, excludeId = null) {
+    const terms = [data.name, ...(data.aliases || [])];
+    const seen = new Set();
+
+    const unknown = (data.caseSensitiveTerms || []).filter(term => !terms.some(other => this.key(other) === this.key(term)));
+    if (unknown.length > 0) {
+      const error = new Error(`caseSensitiveTerms must be the name or aliases of the skill: ${unknown.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    terms.forEach(term => {
+      const key = this.key(term);
+      const existing = this.lookup(term);
+      if (seen.has(key) || (existing && existing.id !== excludeId)) {
+        const error = new Error(seen.has(key)
+          ? `"${term}" is listed more than once`
+          : `"${term}" is already a name or alias of ${existing.name}`);
+        error.status = 409;
+        throw error;
+      }
+      seen.add(key);
+    });
+  }
+
+  create(data, changedBy) {
+    this.checkConflicts(data);
+
+    const now = new Date().toISOString();
+    const record = this.skills.insert({
+      id: uuidv4(),
+      name: data.name.trim(),
+      aliases: (data.aliases || []).map(alias => alias.trim()),
+      category: data.category,
+      weight: data.weight || 'secondary',
+      caseSensitiveTerms: (data.caseSensitiveTerms || []).map(term => term.trim()),
+      createdAt: now,
+      updatedAt: now,
+      createdBy: changedBy
+    });
+    this.revision++;
+
+    logger.info(`Skill ${record.name} added to the taxonomy by ${changedBy}`);
+    return record;
+  }
+
+  update(id, changes, changedBy) {
+    const record = this.skills.findById(id);
+    if (!record) {
+      return null;
+    }
+
+    this.checkConflicts({ ...record, ...changes }, id);
+
+    const updated = this.skills.update(id, {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+      updatedBy: changedBy
+    });
+    this.revision++;
+
+    logger.info(`Skill ${updated.name} updated in the taxonomy by ${changedBy}`);
+    return updated;
+  }
+
+  remove(id, changedBy) {
+    const removed = this.skills.remove(id);
+    if (removed) {
+      this.revision++;
+      logger.info(`Skill ${removed.name} removed from the taxonomy by ${changedBy}`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new SkillTaxonomyService();
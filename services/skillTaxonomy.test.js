@@ -0,0 +1,80 @@
+process.env.DATA_STORE = 'memory';
+
+const skillTaxonomy = require('./skillTaxonomy');
+
+const mentioned = (text, options) => skillTaxonomy.findMentions(text, options)
+  .map(({ record, mentions }) => [record.name, mentions.map(mention => mention.text)]);
+
+describe('skillTaxonomy.findMentions', () => {
+  test('aliases are found under the canonical name', () => {
+    expect(mentioned('Built dashboards in ReactJS and deployed them to k8s')).toEqual([
+      ['React', ['ReactJS']],
+      ['Kubernetes', ['k8s']]
+    ]);
+  });
+
+  test('terms only match whole words', () => {
+    expect(mentioned('JavaScript, Googled it')).toEqual([['JavaScript', ['JavaScript']]]);
+  });
+
+  test('a mention inside a longer skill counts only for the longer one', () => {
+    expect(mentioned('React Native apps')).toEqual([['React Native', ['React Native']]]);
+  });
+
+  test('case-sensitive terms match only in their case, the other terms in any', () => {
+    expect(mentioned('Go, golang and GOLANG')).toEqual([['Go', ['Go', 'golang', 'GOLANG']]]);
+    expect(mentioned('ready to go home')).toEqual([]);
+    expect(mentioned('TS and ts')).toEqual([['TypeScript', ['TS']]]);
+  });
+
+  test('mentions are returned with their position', () => {
+    const [found] = skillTaxonomy.findMentions('Skills: Kubernetes');
+    expect(found.mentions).toEqual([{ index: 8, text: 'Kubernetes' }]);
+  });
+
+  test('the search can be narrowed to a weight or categories', () => {
+    expect(skillTaxonomy.findInText('Java, React and Git', { weight: 'primary' })).toEqual(['Java', 'React']);
+    expect(skillTaxonomy.findInText('Java, React and Git', { categories: ['web'] })).toEqual(['React']);
+  });
+});
+
+describe('skillTaxonomy.checkConflicts', () => {
+  const statusOf = (data, excludeId) => {
+    try {
+      skillTaxonomy.checkConflicts(data, excludeId);
+      return null;
+    } catch (error) {
+      return error.status;
+    }
+  };
+
+  test('a name or alias of another skill is a 409', () => {
+    expect(statusOf({ name: 'ReactJS', aliases: [] })).toBe(409);
+    expect(statusOf({ name: 'Testim Kit', aliases: ['K8S'] })).toBe(409);
+  });
+
+  test('a term listed twice is a 409', () => {
+    expect(statusOf({ name: 'Testim', aliases: ['testim'] })).toBe(409);
+  });
+
+  test('a case-sensitive term must be the name or an alias', () => {
+    expect(statusOf({ name: 'Testim', aliases: ['TestimJS'], caseSensitiveTerms: ['SV'] })).toBe(400);
+    expect(statusOf({ name: 'Testim', aliases: ['TestimJS'], caseSensitiveTerms: ['testim'] })).toBeNull();
+  });
+
+  test('the skill being updated does not conflict with itself', () => {
+    const react = skillTaxonomy.lookup('React');
+    expect(statusOf({ ...react, aliases: [...react.aliases, 'React 18'] }, react.id)).toBeNull();
+  });
+});
+
+describe('skillTaxonomy.normalizeSkills', () => {
+  test('aliases become canonical names and duplicates are removed in order', () => {
+    expect(skillTaxonomy.normalizeSkills(['reactjs', 'Python', 'React', ' K8s ', 'python']))
+      .toEqual(['React', 'Python', 'Kubernetes']);
+  });
+
+  test('unknown skills are kept as written', () => {
+    expect(skillTaxonomy.normalizeSkills(['Appium Inspector', 'appium inspector', ''])).toEqual(['Appium Inspector']);
+  });
+});
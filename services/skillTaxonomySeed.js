@@ -0,0 +1,159 @@
+// Initial skill taxonomy, loaded into the skills collection by migration 9. Later changes
+// go through /api/skills; edit this list only for new installs (the migration will not rerun).
+// weight: 'primary' skills are core technical skills, 'secondary' ones are tools and practices.
+// caseSensitiveTerms: names or aliases that only match in the exact case given, for terms that
+// are also common words or abbreviations ("Go", "TS"); every other term matches in any case.
+module.exports = [
+  // Programming languages
+  { name: 'JavaScript', aliases: ['JS', 'ECMAScript', 'ES6'], category: 'programming', weight: 'primary' },
+  { name: 'TypeScript', aliases: ['TS'], category: 'programming', weight: 'primary', caseSensitiveTerms: ['TS'] },
+  { name: 'Python', aliases: ['Python3', 'Python 3'], category: 'programming', weight: 'primary' },
+  { name: 'Java', aliases: ['Core Java', 'J2EE', 'Java EE'], category: 'programming', weight: 'primary' },
+  { name: 'C++', aliases: ['CPP'], category: 'programming', weight: 'primary' },
+  { name: 'C#', aliases: ['CSharp', 'C Sharp'], category: 'programming', weight: 'primary' },
+  { name: 'Go', aliases: ['Golang'], category: 'programming', weight: 'primary', caseSensitiveTerms: ['Go'] },
+  { name: 'PHP', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'Ruby', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'Rust', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'Swift', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'Kotlin', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'Scala', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'MATLAB', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'Dart', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'Objective-C', aliases: ['ObjC', 'Objective C'], category: 'programming', weight: 'primary' },
+  { name: 'Perl', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'Haskell', aliases: [], category: 'programming', weight: 'primary' },
+  { name: 'SQL', aliases: ['T-SQL', 'PL/SQL'], category: 'programming', weight: 'primary' },
+
+  // Web
+  { name: 'React', aliases: ['ReactJS', 'React.js'], category: 'web', weight: 'primary' },
+  { name: 'Angular', aliases: ['AngularJS', 'Angular.js'], category: 'web', weight: 'primary' },
+  { name: 'Vue.js', aliases: ['Vue', 'VueJS'], category: 'web', weight: 'primary' },
+  { name: 'Node.js', aliases: ['NodeJS', 'Node JS'], category: 'web', weight: 'primary' },
+  { name: 'Express', aliases: ['Express.js', 'ExpressJS'], category: 'web', weight: 'primary' },
+  { name: 'Next.js', aliases: ['NextJS'], category: 'web', weight: 'primary' },
+  { name: 'Nuxt.js', aliases: ['NuxtJS'], category: 'web', weight: 'primary' },
+  { name: 'Gatsby', aliases: [], category: 'web', weight: 'primary' },
+  { name: 'Svelte', aliases: [], category: 'web', weight: 'primary' },
+  { name: 'Django', aliases: [], category: 'web', weight: 'primary' },
+  { name: 'Flask', aliases: [], category: 'web', weight: 'primary' },
+  { name: 'Spring', aliases: ['Spring Boot', 'SpringBoot', 'Spring MVC'], category: 'web', weight: 'primary' },
+  { name: 'ASP.NET', aliases: ['ASP.NET Core', '.NET', 'DotNet'], category: 'web', weight: 'primary' },
+  { name: 'Laravel', aliases: [], category: 'web', weight: 'primary' },
+  { name: 'Rails', aliases: ['Ruby on Rails', 'RoR'], category: 'web', weight: 'primary' },
+  { name: 'HTML', aliases: ['HTML5'], category: 'web', weight: 'primary' },
+  { name: 'CSS', aliases: ['CSS3'], category: 'web', weight: 'primary' },
+  { name: 'Bootstrap', aliases: [], category: 'web', weight: 'primary' },
+  { name: 'Tailwind', aliases: ['Tailwind CSS', 'TailwindCSS'], category: 'web', weight: 'primary' },
+  { name: 'jQuery', aliases: [], category: 'web', weight: 'primary' },
+
+  // Mobile
+  { name: 'React Native', aliases: [], category: 'mobile', weight: 'primary' },
+  { name: 'Flutter', aliases: [], category: 'mobile', weight: 'primary' },
+  { name: 'Xamarin', aliases: [], category: 'mobile', weight: 'primary' },
+  { name: 'iOS', aliases: [], category: 'mobile', weight: 'primary' },
+  { name: 'Android', aliases: [], category: 'mobile', weight: 'primary' },
+  { name: 'Ionic', aliases: [], category: 'mobile', weight: 'primary' },
+  { name: 'Cordova', aliases: ['PhoneGap'], category: 'mobile', weight: 'primary' },
+
+  // Databases
+  { name: 'MySQL', aliases: [], category: 'database', weight: 'primary' },
+  { name: 'PostgreSQL', aliases: ['Postgres'], category: 'database', weight: 'primary' },
+  { name: 'MongoDB', aliases: ['Mongo'], category: 'database', weight: 'primary' },
+  { name: 'Redis', aliases: [], category: 'database', weight: 'primary' },
+  { name: 'Cassandra', aliases: [], category: 'database', weight: 'primary' },
+  { name: 'Oracle', aliases: ['Oracle DB', 'Oracle Database'], category: 'database', weight: 'primary' },
+  { name: 'SQL Server', aliases: ['MSSQL', 'MS SQL', 'Microsoft SQL Server'], category: 'database', weight: 'primary' },
+  { name: 'SQLite', aliases: [], category: 'database', weight: 'primary' },
+  { name: 'DynamoDB', aliases: [], category: 'database', weight: 'primary' },
+  { name: 'Firebase', aliases: [], category: 'database', weight: 'primary' },
+  { name: 'Elasticsearch', aliases: ['Elastic Search'], category: 'database', weight: 'primary' },
+
+  // Cloud
+  { name: 'AWS', aliases: ['Amazon Web Services'], category: 'cloud', weight: 'primary' },
+  { name: 'Azure', aliases: ['Microsoft Azure'], category: 'cloud', weight: 'primary' },
+  { name: 'GCP', aliases: ['Google Cloud', 'Google Cloud Platform'], category: 'cloud', weight: 'primary' },
+  { name: 'Heroku', aliases: [], category: 'cloud', weight: 'primary' },
+  { name: 'DigitalOcean', aliases: ['Digital Ocean'], category: 'cloud', weight: 'primary' },
+  { name: 'Alibaba Cloud', aliases: [], category: 'cloud', weight: 'primary' },
+
+  // DevOps
+  { name: 'Docker', aliases: [], category: 'devops', weight: 'primary' },
+  { name: 'Kubernetes', aliases: ['k8s'], category: 'devops', weight: 'primary' },
+  { name: 'Jenkins', aliases: [], category: 'devops', weight: 'primary' },
+  { name: 'Terraform', aliases: [], category: 'devops', weight: 'primary' },
+  { name: 'Ansible', aliases: [], category: 'devops', weight: 'primary' },
+  { name: 'Chef', aliases: [], category: 'devops', weight: 'primary', caseSensitiveTerms: ['Chef'] },
+  { name: 'Puppet', aliases: [], category: 'devops', weight: 'primary' },
+  { name: 'GitLab CI', aliases: ['GitLab CI/CD'], category: 'devops', weight: 'primary' },
+  { name: 'GitHub Actions', aliases: [], category: 'devops', weight: 'primary' },
+  { name: 'CircleCI', aliases: ['Circle CI'], category: 'devops', weight: 'primary' },
+
+  // ERP
+  { name: 'SAP', aliases: [], category: 'erp', weight: 'primary' },
+  { name: 'SAP ISU', aliases: ['SAP IS-U', 'SAP IS-Utilities'], category: 'erp', weight: 'primary' },
+  { name: 'SAP FICA', aliases: ['SAP FI-CA'], category: 'erp', weight: 'primary' },
+
+  // Tools
+  { name: 'Git', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'GitHub', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'GitLab', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'Bitbucket', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'SVN', aliases: ['Subversion'], category: 'tools', weight: 'secondary' },
+  { name: 'JIRA', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'Confluence', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'Slack', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'Trello', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'Asana', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'ServiceNow', aliases: ['Service Now'], category: 'tools', weight: 'secondary' },
+  { name: 'Postman', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'Swagger', aliases: ['OpenAPI'], category: 'tools', weight: 'secondary' },
+  { name: 'Insomnia', aliases: [], category: 'tools', weight: 'secondary' },
+  { name: 'VS Code', aliases: ['Visual Studio Code', 'VSCode'], category: 'tools', weight: 'secondary' },
+  { name: 'IntelliJ', aliases: ['IntelliJ IDEA'], category: 'tools', weight: 'secondary' },
+  { name: 'Eclipse', aliases: [], category: 'tools', weight: 'secondary' },
+
+  // Design
+  { name: 'Photoshop', aliases: ['Adobe Photoshop'], category: 'design', weight: 'secondary' },
+  { name: 'Illustrator', aliases: ['Adobe Illustrator'], category: 'design', weight: 'secondary' },
+  { name: 'Figma', aliases: [], category: 'design', weight: 'secondary' },
+  { name: 'Sketch', aliases: [], category: 'design', weight: 'secondary', caseSensitiveTerms: ['Sketch'] },
+  { name: 'InVision', aliases: [], category: 'design', weight: 'secondary' },
+  { name: 'Adobe XD', aliases: [], category: 'design', weight: 'secondary' },
+
+  // Methodologies
+  { name: 'Agile', aliases: [], category: 'methodology', weight: 'secondary' },
+  { name: 'Scrum', aliases: [], category: 'methodology', weight: 'secondary' },
+  { name: 'Kanban', aliases: [], category: 'methodology', weight: 'secondary' },
+  { name: 'DevOps', aliases: [], category: 'methodology', weight: 'secondary' },
+  { name: 'CI/CD', aliases: ['CICD', 'Continuous Integration'], category: 'methodology', weight: 'secondary' },
+  { name: 'TDD', aliases: ['Test Driven Development', 'Test-Driven Development'], category: 'methodology', weight: 'secondary' },
+  { name: 'BDD', aliases: ['Behavior Driven Development', 'Behaviour Driven Development'], category: 'methodology', weight: 'secondary' },
+
+  // Testing
+  { name: 'JUnit', aliases: [], category: 'testing', weight: 'secondary' },
+  { name: 'Jest', aliases: [], category: 'testing', weight: 'secondary' },
+  { name: 'Cypress', aliases: [], category: 'testing', weight: 'secondary' },
+  { name: 'Selenium', aliases: ['Selenium WebDriver'], category: 'testing', weight: 'secondary' },
+  { name: 'TestNG', aliases: [], category: 'testing', weight: 'secondary' },
+  { name: 'Manual Testing', aliases: [], category: 'testing', weight: 'secondary' },
+
+  // Data and machine learning
+  { name: 'TensorFlow', aliases: [], category: 'data', weight: 'secondary' },
+  { name: 'PyTorch', aliases: [], category: 'data', weight: 'secondary' },
+  { name: 'Keras', aliases: [], category: 'data', weight: 'secondary' },
+  { name: 'Pandas', aliases: [], category: 'data', weight: 'secondary' },
+  { name: 'NumPy', aliases: [], category: 'data', weight: 'secondary' },
+  { name: 'Scikit-learn', aliases: ['sklearn', 'scikit learn'], category: 'data', weight: 'secondary' },
+  { name: 'Matplotlib', aliases: [], category: 'data', weight: 'secondary' },
+  { name: 'Tableau', aliases: [], category: 'data', weight: 'secondary' },
+  { name: 'Power BI', aliases: ['PowerBI'], category: 'data', weight: 'secondary' },
+
+  // APIs and integration
+  { name: 'REST API', aliases: ['RESTful', 'RESTful API', 'RESTful APIs', 'REST APIs'], category: 'api', weight: 'secondary' },
+  { name: 'GraphQL', aliases: [], category: 'api', weight: 'secondary' },
+  { name: 'Microservices', aliases: ['Microservice'], category: 'api', weight: 'secondary' },
+  { name: 'SOAP', aliases: [], category: 'api', weight: 'secondary' },
+  { name: 'JSON', aliases: [], category: 'api', weight: 'secondary' },
+  { name: 'XML', aliases: [], category: 'api', weight: 'secondary' }
+];
@@ -0,0 +1,75 @@
+// Degree levels from lowest to highest; minQualification filters compare against this order
+const LEVELS = ['secondary', 'diploma', 'bachelor', 'master', 'doctorate'];
+
+// Canonical degrees and the spellings that map to them. More specific entries come first
+// ("Master of Science" before a bare "Master"). Short uppercase forms such as BE, ME or BA are
+// matched case-sensitively so that words like "be" or "me" in a sentence do not count.
+const DEGREES = [
+  { degree: 'Ph.D.', level: 'doctorate', patterns: [/\bph\.?\s?d\b\.?/i, /\bdoctor(?:ate| of philosophy)\b/i] },
+
+  { degree: 'M.Tech', level: 'master', patterns: [/\bm\.?\s?tech\b\.?/i, /\bmaster(?:'?s)? of technology\b/i] },
+  { degree: 'M.E.', level: 'master', patterns: [/\bM\.\s?E\b\.?/, /\bME\b(?=\s+(?:in|\(|-|–))/, /\bmaster(?:'?s)? of engineering\b/i] },
+  { degree: 'MCA', level: 'master', patterns: [/\bm\.?c\.?a\b\.?/i, /\bmaster(?:'?s)? of computer applications?\b/i] },
+  { degree: 'MBA', level: 'master', patterns: [/\bm\.?b\.?a\b\.?/i, /\bmaster(?:'?s)? of business administration\b/i, /\bpgdm\b/i] },
+  { degree: 'M.Sc', level: 'master', patterns: [/\bm\.?\s?sc\b\.?/i, /\bmaster(?:'?s)? of science\b/i] },
+  { degree: 'M.S.', level: 'master', patterns: [/\bM\.\s?S\b\.?/, /\bMS\b(?=\s+(?:in|\(|-|–))/] },
+  { degree: 'M.Com', level: 'master', patterns: [/\bm\.?\s?com\b\.?/i, /\bmaster(?:'?s)? of commerce\b/i] },
+  { degree: 'M.A.', level: 'master', patterns: [/\bM\.\s?A\b\.?/, /\bMA\b(?=\s+(?:in|\(|-|–))/, /\bmaster(?:'?s)? of arts\b/i] },
+  { degree: 'Master', level: 'master', patterns: [/\bmaster'?s?\b(?: degree)?/i, /\bpost\s?graduat(?:e|ion)\b/i] },
+
+  { degree: 'B.Tech', level: 'bachelor', patterns: [/\bb\.?\s?tech\b\.?/i, /\bbachelor(?:'?s)? of technology\b/i] },
+  { degree: 'B.E.', level: 'bachelor', patterns: [/\bB\.\s?E\b\.?/, /\bBE\b(?=\s+(?:in|\(|-|–))/, /\bbachelor(?:'?s)? of engineering\b/i] },
+  { degree: 'BCA', level: 'bachelor', patterns: [/\bb\.?c\.?a\b\.?/i, /\bbachelor(?:'?s)? of computer applications?\b/i] },
+  { degree: 'BBA', level: 'bachelor', patterns: [/\bb\.?b\.?a\b\.?/i, /\bbachelor(?:'?s)? of business administration\b/i] },
+  { degree: 'B.Sc', level: 'bachelor', patterns: [/\bb\.?\s?sc\b\.?/i, /\bbachelor(?:'?s)? of science\b/i] },
+  { degree: 'B.S.', level: 'bachelor', patterns: [/\bB\.\s?S\b\.?/, /\bBS\b(?=\s+(?:in|\(|-|–))/] },
+  { degree: 'B.Com', level: 'bachelor', patterns: [/\bb\.?\s?com\b\.?/i, /\bbachelor(?:'?s)? of commerce\b/i] },
+  { degree: 'B.A.', level: 'bachelor', patterns: [/\bB\.\s?A\b\.?/, /\bBA\b(?=\s+(?:in|\(|-|–))/, /\bbachelor(?:'?s)? of arts\b/i] },
+  { degree: 'Bachelor', level: 'bachelor', patterns: [/\bbachelor'?s?\b(?: degree)?/i, /\bgraduat(?:e|ion)\b(?= in\b)/i] },
+
+  { degree: 'Diploma', level: 'diploma', patterns: [/\bdiploma\b/i, /\bpolytechnic\b/i] },
+
+  { degree: 'Higher Secondary', level: 'secondary', patterns: [/\b(?:hsc|12th|intermediate|higher secondary|senior secondary)\b/i, /\bXII\b/] },
+  { degree: 'Secondary', level: 'secondary', patterns: [/\b(?:ssc|10th|matriculation|secondary school|high school)\b/i] }
+];
+
+class DegreeNormalizer {
+  constructor() {
+    this.levels = LEVELS;
+  }
+
+  // The first degree mentioned in the text: { degree, level, match: { index, text } } or null.
+  // "BTech", "B. Tech" and "Bachelor of Technology" all give { degree: 'B.Tech', level: 'bachelor' }.
+  normalize(text) {
+    let best = null;
+
+    DEGREES.forEach(({ degree, level, patterns }) => {
+      patterns.forEach(pattern => {
+        const match = String(text || '').match(pattern);
+        // Earliest mention wins; at the same position the more specific (earlier) entry is kept
+        if (match && (!best || match.index < best.match.index)) {
+          best = { degree, level, match: { index: match.index, text: match[0] } };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  rank(level) {
+    return LEVELS.indexOf(level);
+  }
+
+  // Highest level among education entries, or null
+  highestLevel(education = []) {
+    return education.reduce((highest, entry) =>
+      (entry.level && this.rank(entry.level) > this.rank(highest) ? entry.level : highest), null);
+  }
+
+  meetsMinimum(education, minLevel) {
+    const highest = this.highestLevel(education);
+    return highest !== null && this.rank(highest) >= this.rank(minLevel);
+  }
+}
+
+module.exports = new DegreeNormalizer();
@@ -0,0 +1,64 @@
+const degreeNormalizer = require('./degreeNormalizer');
+
+const degreeOf = (text) => {
+  const result = degreeNormalizer.normalize(text);
+  return result && [result.degree, result.level];
+};
+
+describe('degreeNormalizer.normalize', () => {
+  test('spellings of the same degree give one canonical name', () => {
+    ['BTech in CSE', 'B. Tech', 'b.tech', 'Bachelor of Technology'].forEach(text => {
+      expect(degreeOf(text)).toEqual(['B.Tech', 'bachelor']);
+    });
+    expect(degreeOf('Ph.D in Chemistry')).toEqual(['Ph.D.', 'doctorate']);
+    expect(degreeOf('Doctor of Philosophy')).toEqual(['Ph.D.', 'doctorate']);
+    expect(degreeOf('PGDM')).toEqual(['MBA', 'master']);
+  });
+
+  test('specific degrees win over the generic ones', () => {
+    expect(degreeOf('Master of Science')).toEqual(['M.Sc', 'master']);
+    expect(degreeOf('Master\'s degree')).toEqual(['Master', 'master']);
+  });
+
+  test('short uppercase forms need a field of study after them', () => {
+    expect(degreeOf('MS in Data Science')).toEqual(['M.S.', 'master']);
+    expect(degreeOf('BE (Civil)')).toEqual(['B.E.', 'bachelor']);
+    expect(degreeOf('Microsoft MS Office')).toBeNull();
+    expect(degreeOf('we will be in touch')).toBeNull();
+  });
+
+  test('school levels', () => {
+    expect(degreeOf('12th, CBSE')).toEqual(['Higher Secondary', 'secondary']);
+    expect(degreeOf('XII')).toEqual(['Higher Secondary', 'secondary']);
+    expect(degreeOf('SSC')).toEqual(['Secondary', 'secondary']);
+  });
+
+  test('the earliest mention wins and its position is returned', () => {
+    expect(degreeNormalizer.normalize('MBA after a B.Com')).toEqual({
+      degree: 'MBA',
+      level: 'master',
+      match: { index: 0, text: 'MBA' }
+    });
+    expect(degreeOf('B.Com, then an MBA')).toEqual(['B.Com', 'bachelor']);
+  });
+
+  test('text without a degree', () => {
+    expect(degreeNormalizer.normalize('Senior QA Engineer')).toBeNull();
+    expect(degreeNormalizer.normalize(null)).toBeNull();
+  });
+});
+
+describe('degreeNormalizer levels', () => {
+  const education = [{ level: 'diploma' }, { level: 'master' }, { level: null }, { level: 'bachelor' }];
+
+  test('highestLevel', () => {
+    expect(degreeNormalizer.highestLevel(education)).toBe('master');
+    expect(degreeNormalizer.highestLevel([])).toBeNull();
+  });
+
+  test('meetsMinimum', () => {
+    expect(degreeNormalizer.meetsMinimum(education, 'bachelor')).toBe(true);
+    expect(degreeNormalizer.meetsMinimum(education, 'doctorate')).toBe(false);
+    expect(degreeNormalizer.meetsMinimum([], 'secondary')).toBe(false);
+  });
+});
@@ -0,0 +1,147 @@
+const textExtractor = require('./textExtractor');
+const resumeSegmenter = require('./resumeSegmenter');
+const degreeNormalizer = require('./degreeNormalizer');
+
+const BULLET = /^[•▪●○◦►➢✓✔*·\-–]\s*/;
+const INSTITUTION_WORDS = /\b(?:university|college|institute|institution|school|academy|polytechnic|vidyalaya|vidyapeeth|iit|nit|iiit|bits|iim)\b/i;
+const GRADE_PATTERNS = [
+  /\b(cgpa|gpa|cpi|sgpa)\s*(?:of\s*)?[:\-–]?\s*(\d{1,2}(?:\.\d{1,2})?)(?:\s*(?:\/|out of)\s*(\d{1,2}(?:\.\d+)?))?/i,
+  /(\d{1,2}(?:\.\d{1,2})?)\s*(?:\/|out of)\s*(10|4(?:\.0)?)\s*(cgpa|gpa|cpi)?/i,
+  /(\d{2}(?:\.\d{1,2})?)\s*%/,
+  /\b(first class with distinction|first class|second class|distinction)\b/i
+];
+const YEAR = /\b(19[5-9]\d|20\d{2})\b/g;
+
+// Builds the education array from the education section: one entry per degree with
+// degree (canonical, see degreeNormalizer), level, field of study, institution,
+// graduation year and grade. A line naming a degree starts an entry; the lines around it
+// fill in whatever it does not say itself.
+class EducationExtractor {
+  extract(text, sections = resumeSegmenter.segment(text)) {
+    const lines = sections
+      .filter(section => section.label === 'education')
+      .flatMap(section => {
+        const body = text.substring(section.start, section.end).split('\n');
+        // "Education: B.Tech, JNTU" keeps the part after the inline heading
+        const inline = section.heading && section.heading.includes(':') ? section.heading.split(':').slice(1).join(':') : '';
+        return [inline, ...body.slice(section.heading ? 1 : 0)];
+      })
+      .map(line => line.replace(BULLET, '').trim())
+      .filter(Boolean);
+
+    const entries = [];
+    let pending = [];
+
+    lines.forEach(line => {
+      const degree = degreeNormalizer.normalize(line);
+      if (degree) {
+        entries.push({ degree, lines: [...pending, line], degreeLine: line });
+        pending = [];
+        return;
+      }
+
+      const current = entries[entries.length - 1];
+      // An institution line after an entry that already has one belongs to the next degree
+      if (current && !(INSTITUTION_WORDS.test(line) && current.lines.some(other => INSTITUTION_WORDS.test(other)))) {
+        current.lines.push(line);
+      } else {
+        pending.push(line);
+      }
+    });
+
+    return entries.map(entry => this.buildEntry(entry));
+  }
+
+  buildEntry({ degree, lines, degreeLine }) {
+    const text = lines.join('\n');
+    const fieldOfStudy = this.extractFieldOfStudy(degreeLine, degree.match);
+
+    return {
+      degree: degree.degree,
+      level: degree.level,
+      fieldOfStudy,
+      institution: this.extractInstitution(lines) || this.extractBareInstitution(degreeLine, degree.match, fieldOfStudy),
+      graduationYear: this.extractGraduationYear(text),
+      grade: this.extractGrade(text)
+    };
+  }
+
+  // Only an explicit clause right after the degree: "B.Tech in Computer Science",
+  // "Bachelor of Engineering (Mechanical)", "MBA - Finance". A comma-separated part is
+  // more often the institution ("BTech, JNTU Hyderabad") and is left to extractBareInstitution.
+  extractFieldOfStudy(line, match) {
+    const clause = line.substring(match.index + match.text.length).match(/^\s*(?:degree\s*)?(?:\(|[-–—]\s|\bin\b|\bof\b)\s*(.*)$/i);
+    if (!clause) {
+      return null;
+    }
+
+    const field = clause[1]
+      .split(/\s*(?:[,|)(]|\s[-–—]\s|\bfrom\b|\bat\b|\d{4})\s*/i)[0]
+      .replace(/^(?:in|of)\s+/i, '')
+      .trim();
+
+    if (!field || field.length < 2 || INSTITUTION_WORDS.test(field) || /\b(?:cgpa|gpa|percentage)\b/i.test(field)) {
+      return null;
+    }
+    return field;
+  }
+
+  // The comma/pipe separated part that names a university, college or institute
+  extractInstitution(lines) {
+    for (const line of lines) {
+      const part = line
+        .split(/\s*(?:[,|(]|\s[-–—]\s|\bfrom\b|\bat\b)\s*/i)
+        .find(piece => INSTITUTION_WORDS.test(piece));
+      if (part) {
+        return part.replace(/[)\s]+$/, '').replace(/\s*\d{4}.*$/, '').trim();
+      }
+    }
+    return null;
+  }
+
+  // Institutions named by acronym or bare name ("JNTU Hyderabad"): the part of the degree line
+  // that is not the degree or field of study, with a trailing year or grade cut off
+  extractBareInstitution(line, match, fieldOfStudy) {
+    const part = line
+      .split(/\s*(?:[,|]|\s[-–—]\s|\bfrom\b|\bat\b)\s*/i)
+      .map(piece => piece.replace(/\s*\d{4}.*$/, '').replace(/^[()\s]+|[()\s]+$/g, ''))
+      .find(piece => /^[a-z]/i.test(piece) && /[a-z]{2}/i.test(piece) &&
+        !piece.includes(match.text.trim()) &&
+        !(fieldOfStudy && piece.includes(fieldOfStudy)) &&
+        !GRADE_PATTERNS.some(pattern => pattern.test(piece)));
+
+    return part || null;
+  }
+
+  // The end of a date range ("2010 - 2014"), otherwise the last year mentioned
+  extractGraduationYear(text) {
+    const [range] = textExtractor.extractDateRanges(text);
+    if (range) {
+      return range.isCurrent ? null : parseInt(range.endMonth);
+    }
+
+    const years = text.match(YEAR);
+    return years ? parseInt(years[years.length - 1]) : null;
+  }
+
+  // "CGPA 8.5/10", "78%" or "First Class"
+  extractGrade(text) {
+    const [cgpa, bareScale, percentage, classification] = GRADE_PATTERNS.map(pattern => text.match(pattern));
+
+    if (cgpa) {
+      return `${cgpa[1].toUpperCase()} ${cgpa[2]}${cgpa[3] ? `/${cgpa[3]}` : ''}`;
+    }
+    if (bareScale) {
+      return `${(bareScale[3] || 'CGPA').toUpperCase()} ${bareScale[1]}/${bareScale[2]}`;
+    }
+    if (percentage) {
+      return `${percentage[1]}%`;
+    }
+    if (classification) {
+      return classification[1];
+    }
+    return null;
+  }
+}
+
+module.exports = new EducationExtractor();
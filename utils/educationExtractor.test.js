@@ -0,0 +1,81 @@
+const educationExtractor = require('./educationExtractor');
+
+describe('educationExtractor.extract', () => {
+  const resume = [
+    'Priya Sharma',
+    '',
+    'Education',
+    'B.Tech in Computer Science, JNTU Hyderabad, 2010 - 2014, CGPA 8.1/10',
+    'Master of Business Administration (Finance)',
+    'Symbiosis Institute of Business Management',
+    '2016 - 2018',
+    '72%',
+    'Intermediate, Narayana Junior College, 2010',
+    '',
+    'Skills',
+    'Java, Selenium'
+  ].join('\n');
+
+  test('builds one entry per degree from the education section', () => {
+    expect(educationExtractor.extract(resume)).toEqual([
+      {
+        degree: 'B.Tech',
+        level: 'bachelor',
+        fieldOfStudy: 'Computer Science',
+        institution: 'JNTU Hyderabad',
+        graduationYear: 2014,
+        grade: 'CGPA 8.1/10'
+      },
+      {
+        degree: 'MBA',
+        level: 'master',
+        fieldOfStudy: 'Finance',
+        institution: 'Symbiosis Institute of Business Management',
+        graduationYear: 2018,
+        grade: '72%'
+      },
+      {
+        degree: 'Higher Secondary',
+        level: 'secondary',
+        fieldOfStudy: null,
+        institution: 'Narayana Junior College',
+        graduationYear: 2010,
+        grade: null
+      }
+    ]);
+  });
+
+  test('degrees outside the education section are ignored', () => {
+    expect(educationExtractor.extract('Experience\nB.Tech trainee at Infosys, 2014 - 2015')).toEqual([]);
+  });
+
+  test('institutions named by acronym fall back to the rest of the degree line', () => {
+    const [entry] = educationExtractor.extract('Education\nMBA - Marketing | XLRI | 2018');
+    expect(entry).toMatchObject({ degree: 'MBA', fieldOfStudy: 'Marketing', institution: 'XLRI', graduationYear: 2018 });
+  });
+
+  test('a comma-separated name after the degree is the institution, not the field of study', () => {
+    const [entry] = educationExtractor.extract('Education\nBTech, JNTU Hyderabad 2016 72%');
+    expect(entry).toMatchObject({ degree: 'B.Tech', fieldOfStudy: null, institution: 'JNTU Hyderabad', graduationYear: 2016, grade: '72%' });
+  });
+
+  test('a grade on a 4 point scale and "from" before the institution', () => {
+    const [entry] = educationExtractor.extract('Education\nMS in Data Science from Stanford University, 2020, GPA 3.8/4');
+    expect(entry).toMatchObject({ degree: 'M.S.', institution: 'Stanford University', grade: 'GPA 3.8/4' });
+  });
+
+  test('a degree still in progress has no graduation year', () => {
+    const [entry] = educationExtractor.extract('Education\nPh.D in Physics, IISc Bangalore, 2021 - Present');
+    expect(entry).toMatchObject({ degree: 'Ph.D.', fieldOfStudy: 'Physics', graduationYear: null });
+  });
+});
+
+describe('educationExtractor.extractGrade', () => {
+  test('CGPA, bare scale, percentage and class', () => {
+    expect(educationExtractor.extractGrade('cgpa: 9.2')).toBe('CGPA 9.2');
+    expect(educationExtractor.extractGrade('8.5/10')).toBe('CGPA 8.5/10');
+    expect(educationExtractor.extractGrade('Scored 78.5%')).toBe('78.5%');
+    expect(educationExtractor.extractGrade('First Class with Distinction')).toBe('First Class with Distinction');
+    expect(educationExtractor.extractGrade('2014')).toBeNull();
+  });
+});
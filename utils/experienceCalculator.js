@@ -0,0 +1,109 @@
+// Stated and computed experience may differ by this many months before the candidate is flagged
+const DISCREPANCY_THRESHOLD_MONTHS = parseInt(process.env.EXPERIENCE_DISCREPANCY_MONTHS || '12');
+
+// Total experience in months from date ranges ({ startMonth, endMonth, isCurrent, datePrecision }
+// as in workHistory and textExtractor.extractDateRanges). Overlapping jobs are counted once and
+// ongoing ranges run to a reference date, so the result does not depend on when it is read.
+class ExperienceCalculator {
+  constructor() {
+    this.discrepancyThresholdMonths = DISCREPANCY_THRESHOLD_MONTHS;
+  }
+
+  // 'YYYY-MM' -> months since year 0, so ranges can be compared and subtracted
+  toIndex(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return year * 12 + monthNumber - 1;
+  }
+
+  // [first, last] month index, both inclusive; null when the range cannot be placed.
+  // Year-only ranges count the years between them ("2015 - 2017" is two years, not three).
+  toInterval(range, referenceIndex) {
+    if (!range.startMonth || (!range.endMonth && !range.isCurrent)) {
+      return null;
+    }
+
+    const precision = range.datePrecision || range.precision;
+    const start = this.toIndex(range.startMonth);
+    let end = range.isCurrent ? referenceIndex : this.toIndex(range.endMonth);
+
+    if (precision === 'year' && !range.isCurrent && end - start >= 12) {
+      end -= 12;
+    }
+
+    end = Math.min(end, referenceIndex);
+    return start <= end ? [start, end] : null;
+  }
+
+  // Months covered by at least one range
+  totalMonths(ranges, referenceDate = new Date()) {
+    const reference = new Date(referenceDate);
+    const referenceIndex = reference.getFullYear() * 12 + reference.getMonth();
+
+    const intervals = ranges
+      .map(range => this.toInterval(range, referenceIndex))
+      .filter(Boolean)
+      .sort((a, b) => a[0] - b[0]);
+
+    let total = 0;
+    let current = null;
+    intervals.forEach(([start, end]) => {
+      if (current && start <= current[1] + 1) {
+        current[1] = Math.max(current[1], end);
+      } else {
+        if (current) total += current[1] - current[0] + 1;
+        current = [start, end];
+      }
+    });
+    if (current) total += current[1] - current[0] + 1;
+
+    return total;
+  }
+
+  // "6 years", "6.5" or 6 -> 78; null when there is no number
+  parseYears(experience) {
+    const years = parseFloat(experience);
+    return isNaN(years) || years < 0 ? null : Math.round(years * 12);
+  }
+
+  toYears(months) {
+    return parseFloat((months / 12).toFixed(1));
+  }
+
+  // Experience in years for filters, sorting and stats; 0 when unknown
+  yearsOf(candidate) {
+    return candidate.experienceMonths ? this.toYears(candidate.experienceMonths) : 0;
+  }
+
+  // Returns { experienceMonths, experienceCalculation } for a candidate. The work history dates
+  // are used when there are any; a manually corrected experience value always wins.
+  assess(candidate, referenceDate = candidate.processedAt || new Date()) {
+    const statedMonths = this.parseYears(candidate.experience);
+    const computedMonths = this.totalMonths(candidate.workHistory || [], referenceDate) || null;
+    const manual = candidate.fieldProvenance?.experience?.engine === 'manual';
+
+    let source = null;
+    if (manual && statedMonths !== null) {
+      source = 'manual';
+    } else if (computedMonths) {
+      source = 'dates';
+    } else if (statedMonths !== null) {
+      source = 'stated';
+    }
+
+    const discrepancy = statedMonths !== null && computedMonths !== null &&
+      Math.abs(statedMonths - computedMonths) > this.discrepancyThresholdMonths;
+
+    return {
+      experienceMonths: source === 'dates' ? computedMonths : source ? statedMonths : null,
+      experienceCalculation: {
+        statedMonths,
+        computedMonths,
+        source,
+        referenceDate: new Date(referenceDate).toISOString(),
+        discrepancy
+      }
+    };
+  }
+}
+
+module.exports = new ExperienceCalculator();
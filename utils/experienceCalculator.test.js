@@ -0,0 +1,88 @@
+const experienceCalculator = require('./experienceCalculator');
+
+// Mid-month so the reference month is the same in every time zone
+const REFERENCE = '2024-06-15T12:00:00.000Z';
+
+const range = (startMonth, endMonth, datePrecision = 'month') => ({
+  startMonth,
+  endMonth,
+  isCurrent: endMonth === null,
+  datePrecision
+});
+
+describe('experienceCalculator.totalMonths', () => {
+  test('month ranges count both the first and the last month', () => {
+    expect(experienceCalculator.totalMonths([range('2019-01', '2021-03')], REFERENCE)).toBe(27);
+  });
+
+  test('overlapping ranges are counted once', () => {
+    const ranges = [range('2015-01', '2018-12'), range('2018-06', '2020-06')];
+    expect(experienceCalculator.totalMonths(ranges, REFERENCE)).toBe(66);
+  });
+
+  test('adjacent ranges join and gaps are left out', () => {
+    expect(experienceCalculator.totalMonths([range('2020-01', '2020-06'), range('2020-07', '2020-12')], REFERENCE)).toBe(12);
+    expect(experienceCalculator.totalMonths([range('2020-01', '2020-06'), range('2021-01', '2021-06')], REFERENCE)).toBe(12);
+  });
+
+  test('a range inside another adds nothing', () => {
+    const ranges = [range('2016-01', '2020-12'), range('2017-03', '2017-09')];
+    expect(experienceCalculator.totalMonths(ranges, REFERENCE)).toBe(60);
+  });
+
+  test('year-only ranges count the years between them', () => {
+    expect(experienceCalculator.totalMonths([range('2015-01', '2017-12', 'year')], REFERENCE)).toBe(24);
+    // Within a single year there is nothing to subtract
+    expect(experienceCalculator.totalMonths([range('2015-01', '2015-12', 'year')], REFERENCE)).toBe(12);
+  });
+
+  test('Present runs to the reference date', () => {
+    expect(experienceCalculator.totalMonths([range('2023-01', null)], REFERENCE)).toBe(18);
+    expect(experienceCalculator.totalMonths([range('2023-01', null)], '2023-12-15T12:00:00.000Z')).toBe(12);
+  });
+
+  test('ranges are capped at the reference date', () => {
+    expect(experienceCalculator.totalMonths([range('2024-01', '2026-12')], REFERENCE)).toBe(6);
+    expect(experienceCalculator.totalMonths([range('2025-01', '2026-12')], REFERENCE)).toBe(0);
+  });
+
+  test('ranges without a start or an end are ignored', () => {
+    const ranges = [{ startMonth: null, endMonth: '2020-01' }, { startMonth: '2019-01', endMonth: null, isCurrent: false }];
+    expect(experienceCalculator.totalMonths(ranges, REFERENCE)).toBe(0);
+  });
+});
+
+describe('experienceCalculator.assess', () => {
+  const candidate = (overrides) => ({ processedAt: REFERENCE, experience: null, workHistory: [], ...overrides });
+
+  test('dates win over the stated figure and a large difference is flagged', () => {
+    const result = experienceCalculator.assess(candidate({
+      experience: '10 years',
+      workHistory: [range('2019-01', '2021-03')]
+    }));
+
+    expect(result.experienceMonths).toBe(27);
+    expect(result.experienceCalculation).toMatchObject({ statedMonths: 120, computedMonths: 27, source: 'dates', discrepancy: true });
+  });
+
+  test('the stated figure is used when there are no dates', () => {
+    const result = experienceCalculator.assess(candidate({ experience: '6.5 years' }));
+    expect(result.experienceMonths).toBe(78);
+    expect(result.experienceCalculation.source).toBe('stated');
+  });
+
+  test('a manual correction always wins', () => {
+    const result = experienceCalculator.assess(candidate({
+      experience: '4',
+      workHistory: [range('2010-01', '2020-12')],
+      fieldProvenance: { experience: { engine: 'manual' } }
+    }));
+    expect(result.experienceMonths).toBe(48);
+    expect(result.experienceCalculation.source).toBe('manual');
+  });
+
+  test('nothing known gives no experience', () => {
+    expect(experienceCalculator.assess(candidate({ experience: 'Not specified' })))
+      .toMatchObject({ experienceMonths: null, experienceCalculation: { source: null, discrepancy: false } });
+  });
+});
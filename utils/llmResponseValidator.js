@@ -0,0 +1,134 @@
+const Joi = require('joi');
+
+const NO_VALUE = /^(?:n\/?a|none|null|nil|unknown|not (?:mentioned|available|specified|provided)|-)$/i;
+
+// Models often return "React, Node.js" instead of ["React", "Node.js"]
+const skillList = Joi.any().custom((value, helpers) => {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+  if (typeof value === 'string') {
+    return NO_VALUE.test(value.trim()) ? [] : value.split(/[,;|\n]/).map(skill => skill.trim()).filter(Boolean);
+  }
+  if (Array.isArray(value) && value.every(skill => ['string', 'number'].includes(typeof skill))) {
+    return [...new Set(value.map(skill => String(skill).trim()).filter(Boolean))];
+  }
+  return helpers.message('{{#label}} must be an array of skill names');
+});
+
+// Accepts 5, "5", "5.5 years", "5+"; stored as a number of years
+const years = Joi.any().custom((value, helpers) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return value >= 0 && value <= 60 ? value : helpers.message('{{#label}} must be between 0 and 60 years');
+  }
+  if (typeof value === 'string') {
+    if (NO_VALUE.test(value.trim())) {
+      return null;
+    }
+    const match = value.match(/\d+(?:\.\d+)?/);
+    if (match && parseFloat(match[0]) <= 60) {
+      return parseFloat(match[0]);
+    }
+  }
+  return helpers.message('{{#label}} must be a number of years');
+});
+
+// Free-text scalar; numbers (e.g. phone numbers) are turned into strings
+const text = Joi.any().custom((value, helpers) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value !== 'string') {
+    return helpers.message('{{#label}} must be a string');
+  }
+  const trimmed = value.trim();
+  return trimmed === '' || NO_VALUE.test(trimmed) ? null : trimmed;
+});
+
+const candidateSchema = Joi.object({
+  name: text.required(),
+  // Contact details a resume may simply not have; leaving them out is not worth a repair round-trip
+  email: text.allow(null).default(null),
+  phone: text.allow(null).default(null),
+  experience: years.required(),
+  linkedinUrl: text.allow(null).default(null),
+  primarySkills: skillList.required(),
+  secondarySkills: skillList.required(),
+  additionalFields: Joi.object().unknown(true).allow(null)
+});
+
+// Answers to recruiter questions (resumeQA); citedLines are the numbers of the resume lines used
+const answerSchema = Joi.object({
+  answer: Joi.string().trim().allow('').required(),
+  found: Joi.boolean().truthy('yes').falsy('no').required(),
+  citedLines: Joi.array().items(Joi.number().integer().min(1)).single().default([])
+});
+
+class LLMResponseValidator {
+  constructor() {
+    this.candidateSchema = candidateSchema;
+    this.answerSchema = answerSchema;
+  }
+
+  // Pull the JSON object out of a reply that may be wrapped in markdown fences
+  // or surrounded by explanatory text
+  extractJson(response) {
+    let body = String(response || '').trim();
+
+    const fenced = body.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+      body = fenced[1];
+    }
+
+    const start = body.indexOf('{');
+    const end = body.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('Response does not contain a JSON object');
+    }
+
+    body = body.substring(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      throw new Error(`Response is not valid JSON: ${error.message}`);
+    }
+  }
+
+  // Returns { value } with coerced types, or { errors } listing every problem found
+  validateCandidate(response) {
+    return this.validate(response, this.candidateSchema);
+  }
+
+  validateAnswer(response) {
+    return this.validate(response, this.answerSchema);
+  }
+
+  validate(response, schema) {
+    let parsed;
+    try {
+      parsed = this.extractJson(response);
+    } catch (error) {
+      return { errors: [error.message] };
+    }
+
+    const { error, value } = schema.validate(parsed, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return { errors: error.details.map(detail => detail.message) };
+    }
+
+    return { value };
+  }
+}
+
+module.exports = new LLMResponseValidator();
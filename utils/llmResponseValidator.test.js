@@ -0,0 +1,89 @@
+const llmResponseValidator = require('./llmResponseValidator');
+
+const reply = (fields) => JSON.stringify({
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  phone: '+1 555 010 0199',
+  experience: 6,
+  linkedinUrl: null,
+  primarySkills: ['Selenium'],
+  secondarySkills: [],
+  ...fields
+});
+
+describe('llmResponseValidator.extractJson', () => {
+  test('markdown fences, surrounding text and trailing commas are tolerated', () => {
+    const response = 'Here is the data:\n```json\n{ "name": "Jane", "primarySkills": ["Java",], }\n```\nHope this helps';
+    expect(llmResponseValidator.extractJson(response)).toEqual({ name: 'Jane', primarySkills: ['Java'] });
+  });
+
+  test('a reply without a JSON object is an error', () => {
+    expect(() => llmResponseValidator.extractJson('I could not parse this resume.'))
+      .toThrow('Response does not contain a JSON object');
+    expect(() => llmResponseValidator.extractJson('{ name: Jane }')).toThrow(/^Response is not valid JSON/);
+  });
+});
+
+describe('llmResponseValidator.validateCandidate', () => {
+  test('values are coerced to the stored types', () => {
+    const { value, errors } = llmResponseValidator.validateCandidate(reply({
+      phone: 15550100199,
+      experience: '5+ years',
+      primarySkills: 'Java, Selenium; SQL',
+      secondarySkills: ['Git', 'Git', ' '],
+      unexpected: 'dropped'
+    }));
+
+    expect(errors).toBeUndefined();
+    expect(value).toMatchObject({
+      phone: '15550100199',
+      experience: 5,
+      primarySkills: ['Java', 'Selenium', 'SQL'],
+      secondarySkills: ['Git']
+    });
+    expect(value.unexpected).toBeUndefined();
+  });
+
+  test('"not mentioned" style answers become empty values', () => {
+    const { value } = llmResponseValidator.validateCandidate(reply({ email: 'N/A', experience: 'not specified', primarySkills: 'none' }));
+    expect(value).toMatchObject({ email: null, experience: null, primarySkills: [] });
+  });
+
+  test('every problem is reported at once', () => {
+    const { errors } = llmResponseValidator.validateCandidate(JSON.stringify({ experience: 70, primarySkills: { java: true } }));
+    expect(errors).toEqual([
+      '"name" is required',
+      '"experience" must be between 0 and 60 years',
+      '"primarySkills" must be an array of skill names',
+      '"secondarySkills" is required'
+    ]);
+  });
+
+  test('a reply that is not JSON is reported as the only error', () => {
+    expect(llmResponseValidator.validateCandidate('Sorry, no.')).toEqual({ errors: ['Response does not contain a JSON object'] });
+  });
+
+  test('missing contact details default to null', () => {
+    const { value, errors } = llmResponseValidator.validateCandidate(JSON.stringify({
+      name: 'Jane Doe',
+      experience: 3,
+      primarySkills: [],
+      secondarySkills: []
+    }));
+
+    expect(errors).toBeUndefined();
+    expect(value).toMatchObject({ email: null, phone: null, linkedinUrl: null });
+  });
+});
+
+describe('llmResponseValidator.validateAnswer', () => {
+  test('yes/no and a single cited line are accepted', () => {
+    expect(llmResponseValidator.validateAnswer('{"answer": " Yes, at Acme ", "found": "yes", "citedLines": 4}'))
+      .toEqual({ value: { answer: 'Yes, at Acme', found: true, citedLines: [4] } });
+  });
+
+  test('cited lines must be line numbers', () => {
+    expect(llmResponseValidator.validateAnswer('{"answer": "Yes", "found": true, "citedLines": [0]}').errors)
+      .toEqual(['"citedLines[0]" must be greater than or equal to 1']);
+  });
+});
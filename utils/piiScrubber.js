@@ -0,0 +1,123 @@
+// Replaces direct identifiers with placeholders like [EMAIL_1] before text leaves the
+// server, and puts the originals back into whatever comes back.
+//
+// Modes:
+//   off    - nothing is masked
+//   mask   - the candidate's name and contact details: email, phone, profile URLs, postal address
+//   strict - mask, plus date of birth and national ID numbers
+const MODES = ['off', 'mask', 'strict'];
+
+const CONTACT_PATTERNS = [
+  { type: 'EMAIL', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  { type: 'URL', pattern: /(?:https?:\/\/)?(?:www\.)?(?:linkedin\.com|github\.com|gitlab\.com|twitter\.com|x\.com|facebook\.com)\/[^\s,;)]+/gi },
+  { type: 'ADDRESS', pattern: /(?<=\b(?:address|residence|residing at)\s*[:-]\s*)[^\n]+/gi },
+  { type: 'ADDRESS', pattern: /\b\d{1,5}[,\s]+(?:[A-Z][A-Za-z]+\s+){1,4}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Boulevard|Blvd|Drive|Dr|Nagar|Marg)\b\.?[^\n]*/g },
+  // 10-15 digits with the usual separators; shorter runs (years, date ranges) are left alone
+  { type: 'PHONE', pattern: /\+?\(?\d[\d\s().-]{8,18}\d/g, minDigits: 10, maxDigits: 15 }
+];
+
+const STRICT_PATTERNS = [
+  { type: 'DOB', pattern: /(?<=\b(?:date of birth|d\.?o\.?b\.?|birth date)\s*[:-]?\s*)(?:\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+\d{4}|[A-Za-z]{3,9}\s+\d{1,2},?\s+\d{4})/gi },
+  // Indian PAN and Aadhaar, US SSN
+  { type: 'ID', pattern: /\b[A-Z]{5}\d{4}[A-Z]\b/g },
+  { type: 'ID', pattern: /\b\d{4}\s\d{4}\s\d{4}\b/g },
+  { type: 'ID', pattern: /\b\d{3}-\d{2}-\d{4}\b/g }
+];
+
+const PLACEHOLDER = /\[(EMAIL|PHONE|URL|ADDRESS|NAME|DOB|ID)_(\d+)\]/g;
+
+class PIIScrubber {
+  constructor() {
+    this.modes = MODES;
+  }
+
+  validateMode(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown PII scrub mode: ${mode}. Use one of: ${MODES.join(', ')}`);
+    }
+    return mode;
+  }
+
+  // Returns { text, placeholders } where placeholders maps each token to its original.
+  // options.names lists known names to mask (in mask and strict mode).
+  scrub(text, mode = 'mask', options = {}) {
+    const placeholders = {};
+    if (mode === 'off' || !text) {
+      return { text, placeholders };
+    }
+
+    const tokens = new Map();
+    const counters = {};
+    const tokenFor = (type, original) => {
+      const key = `${type}:${original.toLowerCase()}`;
+      if (!tokens.has(key)) {
+        counters[type] = (counters[type] || 0) + 1;
+        const token = `[${type}_${counters[type]}]`;
+        tokens.set(key, token);
+        placeholders[token] = original;
+      }
+      return tokens.get(key);
+    };
+
+    const patterns = mode === 'strict' ? [...STRICT_PATTERNS, ...CONTACT_PATTERNS] : CONTACT_PATTERNS;
+    let scrubbed = text;
+
+    (options.names || []).filter(name => name && name.trim().length > 2).forEach(name => {
+      const pattern = new RegExp(name.trim().split(/\s+/).map(part => this.escapeRegex(part)).join('\\s+'), 'gi');
+      scrubbed = scrubbed.replace(pattern, match => tokenFor('NAME', match));
+    });
+
+    patterns.forEach(({ type, pattern, minDigits, maxDigits }) => {
+      scrubbed = scrubbed.replace(pattern, match => {
+        const original = match.trim();
+        if (!original || PLACEHOLDER.test(original)) {
+          PLACEHOLDER.lastIndex = 0;
+          return match;
+        }
+        if (minDigits) {
+          const digits = original.replace(/\D/g, '').length;
+          if (digits < minDigits || digits > maxDigits) {
+            return match;
+          }
+        }
+        // Keep surrounding whitespace so line structure is unchanged
+        return match.replace(original, tokenFor(type, original));
+      });
+    });
+
+    return { text: scrubbed, placeholders };
+  }
+
+  // Puts originals back into strings, arrays and plain objects (recursively)
+  restore(value, placeholders) {
+    if (!placeholders || Object.keys(placeholders).length === 0) {
+      return value;
+    }
+
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER, token => (placeholders[token] !== undefined ? placeholders[token] : token));
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.restore(item, placeholders));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item, placeholders)]));
+    }
+    return value;
+  }
+
+  // Per-type counts, safe to store or log (no original values)
+  summarize(placeholders) {
+    return Object.keys(placeholders).reduce((counts, token) => {
+      const type = token.slice(1, token.lastIndexOf('_'));
+      counts[type] = (counts[type] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  escapeRegex(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = new PIIScrubber();
@@ -0,0 +1,78 @@
+const piiScrubber = require('./piiScrubber');
+
+const RESUME = [
+  'Jane Doe',
+  'jane.doe@example.com | +91 98765 43210',
+  'linkedin.com/in/janedoe',
+  'Address: 12 MG Road, Pune',
+  'DOB: 12/05/1990',
+  'PAN ABCDE1234F',
+  'QA Engineer at Acme, 2015 - 2019',
+  'References: Jane Doe, jane.doe@example.com'
+].join('\n');
+
+describe('piiScrubber.scrub', () => {
+  test('mask replaces the name and contact details and keeps the line structure', () => {
+    const { text, placeholders } = piiScrubber.scrub(RESUME, 'mask', { names: ['Jane Doe'] });
+
+    expect(text.split('\n')).toEqual([
+      '[NAME_1]',
+      '[EMAIL_1] | [PHONE_1]',
+      '[URL_1]',
+      'Address: [ADDRESS_1]',
+      'DOB: 12/05/1990',
+      'PAN ABCDE1234F',
+      'QA Engineer at Acme, 2015 - 2019',
+      'References: [NAME_1], [EMAIL_1]'
+    ]);
+    expect(piiScrubber.summarize(placeholders)).toEqual({ NAME: 1, EMAIL: 1, PHONE: 1, URL: 1, ADDRESS: 1 });
+  });
+
+  test('strict also masks the date of birth and ID numbers', () => {
+    const { text } = piiScrubber.scrub(RESUME, 'strict', { names: ['Jane Doe'] });
+    expect(text).toContain('DOB: [DOB_1]');
+    expect(text).toContain('PAN [ID_1]');
+  });
+
+  test('off leaves the text alone', () => {
+    expect(piiScrubber.scrub(RESUME, 'off', { names: ['Jane Doe'] })).toEqual({ text: RESUME, placeholders: {} });
+  });
+
+  test('digit runs that are not phone numbers are kept', () => {
+    const text = 'Employee ID 123456, 2015 - 2019, CGPA 8.5/10';
+    expect(piiScrubber.scrub(text, 'mask').text).toBe(text);
+  });
+});
+
+describe('piiScrubber.restore', () => {
+  test('originals come back in nested values', () => {
+    const { placeholders } = piiScrubber.scrub(RESUME, 'strict', { names: ['Jane Doe'] });
+    const response = {
+      name: '[NAME_1]',
+      email: '[EMAIL_1]',
+      primarySkills: ['Selenium'],
+      additionalFields: { contacts: ['[PHONE_1]', '[URL_1]'], unknown: '[EMAIL_9]' }
+    };
+
+    expect(piiScrubber.restore(response, placeholders)).toEqual({
+      name: 'Jane Doe',
+      email: 'jane.doe@example.com',
+      primarySkills: ['Selenium'],
+      additionalFields: { contacts: ['+91 98765 43210', 'linkedin.com/in/janedoe'], unknown: '[EMAIL_9]' }
+    });
+  });
+
+  test('scrub then restore gives back the original text', () => {
+    ['mask', 'strict'].forEach(mode => {
+      const { text, placeholders } = piiScrubber.scrub(RESUME, mode, { names: ['Jane Doe'] });
+      expect(piiScrubber.restore(text, placeholders)).toBe(RESUME);
+    });
+  });
+});
+
+describe('piiScrubber.validateMode', () => {
+  test('unknown modes are rejected', () => {
+    expect(piiScrubber.validateMode('strict')).toBe('strict');
+    expect(() => piiScrubber.validateMode('all')).toThrow('Unknown PII scrub mode: all. Use one of: off, mask, strict');
+  });
+});
@@ -0,0 +1,12 @@
+// Values the extractors use when they found nothing
+const PLACEHOLDER_VALUES = ['Name Not Found', 'Not specified', 'N/A', ''];
+
+// Missing, an empty list or one of the placeholders above
+const isEmpty = (value) => value === null || value === undefined ||
+  PLACEHOLDER_VALUES.includes(value) ||
+  (Array.isArray(value) && value.length === 0);
+
+module.exports = {
+  PLACEHOLDER_VALUES,
+  isEmpty
+};
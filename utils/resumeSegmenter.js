@@ -0,0 +1,141 @@
+// Splits resume text into labelled sections so extractors can look in the right place
+// (skills in the skills section, not in a hobbies line). Sections are contiguous and
+// cover the whole text: each one runs from its heading line to the next heading, with
+// offsets into the text that was segmented. Text above the first heading is 'contact'.
+const SECTION_HEADINGS = {
+  contact: [
+    'contact', 'contact details', 'contact information', 'contact info',
+    'personal details', 'personal information', 'personal data'
+  ],
+  summary: [
+    'summary', 'professional summary', 'career summary', 'profile summary', 'executive summary',
+    'profile', 'professional profile', 'career profile', 'objective', 'career objective',
+    'professional objective', 'about me', 'overview'
+  ],
+  experience: [
+    'experience', 'work experience', 'professional experience', 'relevant experience',
+    'employment', 'employment history', 'employment details', 'work history', 'career history',
+    'professional background', 'experience details'
+  ],
+  education: [
+    'education', 'educational qualifications', 'educational qualification', 'educational background',
+    'academic', 'academics', 'academic qualifications', 'academic background', 'academic details',
+    'qualifications', 'education and training'
+  ],
+  skills: [
+    'skills', 'technical skills', 'key skills', 'core skills', 'it skills', 'skill set', 'skillset',
+    'core competencies', 'competencies', 'technical competencies', 'areas of expertise',
+    'technical expertise', 'technologies', 'tech stack', 'tools and technologies', 'technical proficiency'
+  ],
+  projects: [
+    'projects', 'key projects', 'notable projects', 'academic projects', 'project details',
+    'project experience', 'personal projects'
+  ],
+  certifications: [
+    'certifications', 'certification', 'certificates', 'licenses and certifications',
+    'certifications and training', 'training', 'trainings', 'courses'
+  ],
+  other: [
+    'awards', 'achievements', 'awards and achievements', 'honors', 'honours', 'publications',
+    'languages', 'languages known', 'interests', 'hobbies', 'hobbies and interests',
+    'extracurricular activities', 'activities', 'volunteering', 'strengths', 'references', 'declaration'
+  ]
+};
+
+const LABELS = Object.keys(SECTION_HEADINGS);
+
+const HEADING_LOOKUP = new Map(
+  Object.entries(SECTION_HEADINGS).flatMap(([label, headings]) => headings.map(heading => [heading, label]))
+);
+
+// Headings are short; longer lines that start with "Experience" are sentences
+const MAX_HEADING_LENGTH = 50;
+
+class ResumeSegmenter {
+  constructor() {
+    this.labels = LABELS;
+    // Where extractors look for skills; the header, education and hobbies are left out
+    this.skillSections = ['skills', 'experience', 'projects', 'summary', 'certifications'];
+  }
+
+  // Unix line endings, plain spaces, no trailing whitespace and at most one blank line in a row.
+  // Offsets from segment() refer to text normalized this way.
+  normalize(text) {
+    return String(text || '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[\t\u00a0\u2000-\u200a\u3000]/g, ' ')
+      .replace(/[ ]+$/gm, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Returns the section label for a heading line, or null.
+  // "Technical Skills", "EDUCATION:", "## Projects" and "Skills: Java, SQL" all count.
+  matchHeading(line) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.length > 200) {
+      return null;
+    }
+
+    const [head, ...rest] = trimmed.split(/:/);
+    const inline = rest.join(':').trim();
+    if (head.length > MAX_HEADING_LENGTH || (!inline && trimmed.length > MAX_HEADING_LENGTH)) {
+      return null;
+    }
+
+    const key = head
+      .replace(/^[\s#*•▪►➢\-–=_|]+/, '')
+      .replace(/[\s\-–=_|]+$/, '')
+      .replace(/&/g, 'and')
+      .replace(/\s+/g, ' ')
+      .toLowerCase();
+
+    return HEADING_LOOKUP.get(key) || null;
+  }
+
+  // [{ label, heading, start, end }] in text order; heading is null for the top section
+  segment(text) {
+    const sections = [];
+    let offset = 0;
+
+    text.split('\n').forEach(line => {
+      const label = this.matchHeading(line);
+      if (label) {
+        if (sections.length > 0) {
+          sections[sections.length - 1].end = offset;
+        } else if (text.substring(0, offset).trim()) {
+          sections.push({ label: 'contact', heading: null, start: 0, end: offset });
+        }
+        sections.push({ label, heading: line.trim(), start: offset, end: text.length });
+      }
+      offset += line.length + 1;
+    });
+
+    if (sections.length === 0 && text.trim()) {
+      sections.push({ label: 'contact', heading: null, start: 0, end: text.length });
+    }
+
+    return sections;
+  }
+
+  // Text of every section with one of the labels, in order. Falls back to the whole
+  // text when the resume has none of them, so an unusual layout still gets extracted.
+  sectionText(text, sections, labels) {
+    const matching = sections.filter(section => labels.includes(section.label));
+    if (matching.length === 0) {
+      return text;
+    }
+    return matching.map(section => text.substring(section.start, section.end).replace(/\n$/, '')).join('\n');
+  }
+
+  // Segments and returns a lookup: textFor(['skills', 'experience'])
+  split(text) {
+    const sections = this.segment(text);
+    return {
+      sections,
+      textFor: labels => this.sectionText(text, sections, labels)
+    };
+  }
+}
+
+module.exports = new ResumeSegmenter();
@@ -0,0 +1,230 @@
+// Boolean query language for recruiter searches, e.g.
+//   (React OR Angular) AND Node.js AND NOT PHP AND experience>=5
+//
+// Grammar:
+//   expression := orExpr
+//   orExpr     := andExpr ( OR andExpr )*
+//   andExpr    := notExpr ( AND notExpr )*
+//   notExpr    := NOT notExpr | primary
+//   primary    := '(' expression ')' | comparison | skill
+//   comparison := field ( >= | <= | > | < | = | != ) number
+//   skill      := "quoted skill" | word+      (adjacent words form one skill, e.g. React Native)
+
+const experienceCalculator = require('./experienceCalculator');
+
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+const COMPARISON_FIELDS = ['experience'];
+
+class SkillQueryParser {
+  tokenize(query) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < query.length) {
+      const rest = query.slice(position);
+
+      const whitespace = rest.match(/^\s+/);
+      if (whitespace) {
+        position += whitespace[0].length;
+        continue;
+      }
+
+      if (rest[0] === '(' || rest[0] === ')') {
+        tokens.push({ type: rest[0], position });
+        position += 1;
+        continue;
+      }
+
+      if (rest[0] === '"') {
+        const end = rest.indexOf('"', 1);
+        if (end === -1) {
+          throw new Error(`Unterminated quote at position ${position + 1}`);
+        }
+        const value = rest.slice(1, end).trim();
+        if (!value) {
+          throw new Error(`Empty quoted skill at position ${position + 1}`);
+        }
+        tokens.push({ type: 'skill', value, quoted: true, position });
+        position += end + 1;
+        continue;
+      }
+
+      const comparison = rest.match(/^([A-Za-z]+)\s*(>=|<=|!=|=|>|<)\s*([^\s()]*)/);
+      if (comparison) {
+        const [text, field, operator, rawValue] = comparison;
+        const fieldLower = field.toLowerCase();
+
+        if (!COMPARISON_FIELDS.includes(fieldLower)) {
+          throw new Error(`Unknown field '${field}' at position ${position + 1} (supported: ${COMPARISON_FIELDS.join(', ')})`);
+        }
+        if (!/^\d+(?:\.\d+)?$/.test(rawValue)) {
+          throw new Error(`Expected a number after '${field}${operator}' at position ${position + 1}`);
+        }
+
+        tokens.push({ type: 'comparison', field: fieldLower, operator, value: parseFloat(rawValue), position });
+        position += text.length;
+        continue;
+      }
+
+      const word = rest.match(/^[^\s()"<>=!]+/);
+      if (!word) {
+        throw new Error(`Unexpected character '${rest[0]}' at position ${position + 1}`);
+      }
+
+      const upper = word[0].toUpperCase();
+      if (KEYWORDS.includes(upper)) {
+        tokens.push({ type: upper, position });
+      } else {
+        const previous = tokens[tokens.length - 1];
+        // Adjacent bare words belong to the same multi-word skill
+        if (previous && previous.type === 'skill' && !previous.quoted) {
+          previous.value += ` ${word[0]}`;
+        } else {
+          tokens.push({ type: 'skill', value: word[0], quoted: false, position });
+        }
+      }
+      position += word[0].length;
+    }
+
+    return tokens;
+  }
+
+  parse(query) {
+    if (!query || !query.trim()) {
+      throw new Error('Query is empty');
+    }
+
+    this.tokens = this.tokenize(query);
+    this.index = 0;
+
+    const ast = this.parseOr();
+
+    if (this.index < this.tokens.length) {
+      const token = this.tokens[this.index];
+      throw new Error(`Unexpected ${this.describe(token)} at position ${token.position + 1}`);
+    }
+
+    return ast;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.peek('OR')) {
+      this.index++;
+      node = { type: 'or', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.peek('AND')) {
+      this.index++;
+      node = { type: 'and', left: node, right: this.parseNot() };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.peek('NOT')) {
+      this.index++;
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.index];
+
+    if (!token) {
+      throw new Error('Unexpected end of query');
+    }
+
+    if (token.type === '(') {
+      this.index++;
+      const node = this.parseOr();
+      if (!this.peek(')')) {
+        throw new Error(`Missing closing parenthesis for '(' at position ${token.position + 1}`);
+      }
+      this.index++;
+      return node;
+    }
+
+    if (token.type === 'skill') {
+      this.index++;
+      return { type: 'skill', value: token.value };
+    }
+
+    if (token.type === 'comparison') {
+      this.index++;
+      return { type: 'comparison', field: token.field, operator: token.operator, value: token.value };
+    }
+
+    throw new Error(`Unexpected ${this.describe(token)} at position ${token.position + 1}`);
+  }
+
+  peek(type) {
+    const token = this.tokens[this.index];
+    return token && token.type === type;
+  }
+
+  describe(token) {
+    if (token.type === 'skill') return `'${token.value}'`;
+    if (token.type === 'comparison') return `'${token.field}${token.operator}${token.value}'`;
+    return `'${token.type}'`;
+  }
+
+  evaluate(node, candidate, sameSkill = this.sameSkill) {
+    switch (node.type) {
+      case 'and':
+        return this.evaluate(node.left, candidate, sameSkill) && this.evaluate(node.right, candidate, sameSkill);
+      case 'or':
+        return this.evaluate(node.left, candidate, sameSkill) || this.evaluate(node.right, candidate, sameSkill);
+      case 'not':
+        return !this.evaluate(node.operand, candidate, sameSkill);
+      case 'skill':
+        return this.hasSkill(candidate, node.value, sameSkill);
+      case 'comparison':
+        return this.compare(this.getFieldValue(candidate, node.field), node.operator, node.value);
+      default:
+        throw new Error(`Unknown query node: ${node.type}`);
+    }
+  }
+
+  sameSkill(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+  }
+
+  hasSkill(candidate, skill, sameSkill = this.sameSkill) {
+    return [...(candidate.primarySkills || []), ...(candidate.secondarySkills || [])]
+      .some(candidateSkill => sameSkill(candidateSkill, skill));
+  }
+
+  getFieldValue(candidate, field) {
+    if (field === 'experience') {
+      return experienceCalculator.yearsOf(candidate);
+    }
+    return undefined;
+  }
+
+  compare(actual, operator, expected) {
+    switch (operator) {
+      case '>=': return actual >= expected;
+      case '<=': return actual <= expected;
+      case '>': return actual > expected;
+      case '<': return actual < expected;
+      case '=': return actual === expected;
+      case '!=': return actual !== expected;
+      default: return false;
+    }
+  }
+
+  // Parse once and return a predicate for filtering candidates. sameSkill decides whether two
+  // skill names match (the skill taxonomy passes one that treats aliases as the same skill).
+  compile(query, sameSkill = this.sameSkill) {
+    const ast = this.parse(query);
+    return (candidate) => this.evaluate(ast, candidate, sameSkill);
+  }
+}
+
+module.exports = new SkillQueryParser();
@@ -0,0 +1,68 @@
+const skillQuery = require('./skillQuery');
+
+const skill = (value) => ({ type: 'skill', value });
+
+describe('skillQuery.parse', () => {
+  test('AND binds tighter than OR', () => {
+    expect(skillQuery.parse('Java OR React AND Node')).toEqual({
+      type: 'or',
+      left: skill('Java'),
+      right: { type: 'and', left: skill('React'), right: skill('Node') }
+    });
+  });
+
+  test('parentheses, NOT and comparisons', () => {
+    expect(skillQuery.parse('(React OR Angular) AND NOT PHP AND experience>=5')).toEqual({
+      type: 'and',
+      left: {
+        type: 'and',
+        left: { type: 'or', left: skill('React'), right: skill('Angular') },
+        right: { type: 'not', operand: skill('PHP') }
+      },
+      right: { type: 'comparison', field: 'experience', operator: '>=', value: 5 }
+    });
+  });
+
+  test('keywords are case-insensitive and adjacent words form one skill', () => {
+    expect(skillQuery.parse('React Native or "C++"')).toEqual({ type: 'or', left: skill('React Native'), right: skill('C++') });
+  });
+
+  test.each([
+    ['', 'Query is empty'],
+    ['React AND', 'Unexpected end of query'],
+    ['(React', 'Missing closing parenthesis for \'(\' at position 1'],
+    ['React )', 'Unexpected \')\' at position 7'],
+    ['"React', 'Unterminated quote at position 1'],
+    ['salary>=5', 'Unknown field \'salary\' at position 1 (supported: experience)'],
+    ['experience>=five', 'Expected a number after \'experience>=\' at position 1']
+  ])('%j is rejected with a position', (query, message) => {
+    expect(() => skillQuery.parse(query)).toThrow(message);
+  });
+});
+
+describe('skillQuery.compile', () => {
+  const candidate = {
+    primarySkills: ['React', 'Node.js'],
+    secondarySkills: ['Git'],
+    experience: '6 years',
+    experienceMonths: 72
+  };
+
+  test('skills are matched in either list, ignoring case', () => {
+    expect(skillQuery.compile('react AND git')(candidate)).toBe(true);
+    expect(skillQuery.compile('(Angular OR Vue) AND Git')(candidate)).toBe(false);
+    expect(skillQuery.compile('Node.js AND NOT PHP')(candidate)).toBe(true);
+  });
+
+  test('experience comparisons', () => {
+    expect(skillQuery.compile('experience>=5')(candidate)).toBe(true);
+    expect(skillQuery.compile('experience<6')(candidate)).toBe(false);
+    expect(skillQuery.compile('React AND experience!=6')(candidate)).toBe(false);
+  });
+
+  test('a custom sameSkill decides what counts as the same skill', () => {
+    const sameSkill = (a, b) => a.replace(/\.?js$/i, '').toLowerCase() === b.replace(/\.?js$/i, '').toLowerCase();
+    expect(skillQuery.compile('NodeJS', sameSkill)(candidate)).toBe(true);
+    expect(skillQuery.compile('NodeJS')(candidate)).toBe(false);
+  });
+});
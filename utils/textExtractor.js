@@ -1,5 +1,12 @@
 const natural = require('natural');
 const logger = require('./logger');
+const resumeSegmenter = require('./resumeSegmenter');
+const experienceCalculator = require('./experienceCalculator');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DATE_PATTERN = `(?:\\b${MONTH_PATTERN}\\.?,?\\s*'?\\d{4}|\\d{1,2}[/.-]\\d{4}|\\d{4}[/.-]\\d{1,2}(?!\\d)|\\d{4})`;
+const PRESENT_PATTERN = 'present|current|now|till date|to date|ongoing';
 
 class AIEnhancedTextExtractor {
     constructor() {
@@ -56,37 +63,6 @@ class AIEnhancedTextExtractor {
             /(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/[\w\-]+\/?/gi,
             /linkedin[:\s]*([\w\-\/\.]+)/gi
         ];
-
-        // Skill categories with better matching
-        this.skillCategories = {
-            programming: [
-                'JavaScript', 'Python', 'Java', 'C++', 'C#', 'PHP', 'Ruby', 'Go', 'Rust', 'TypeScript',
-                'Swift', 'Kotlin', 'Scala', 'MATLAB', 'Dart', 'Objective-C', 'Perl', 'Haskell'
-            ],
-            web: [
-                'React', 'Angular', 'Vue.js', 'Vue', 'Node.js', 'Express', 'Django', 'Flask', 'Spring',
-                'ASP.NET', 'Laravel', 'Rails', 'HTML', 'CSS', 'Bootstrap', 'Tailwind', 'jQuery',
-                'Next.js', 'Nuxt.js', 'Gatsby', 'Svelte'
-            ],
-            mobile: [
-                'React Native', 'Flutter', 'Xamarin', 'iOS', 'Android', 'Ionic', 'Cordova'
-            ],
-            database: [
-                'MySQL', 'PostgreSQL', 'MongoDB', 'Redis', 'Cassandra', 'Oracle', 'SQL Server',
-                'SQLite', 'DynamoDB', 'Firebase', 'Elasticsearch'
-            ],
-            cloud: [
-                'AWS', 'Azure', 'GCP', 'Google Cloud', 'Heroku', 'DigitalOcean', 'Alibaba Cloud'
-            ],
-            devops: [
-                'Docker', 'Kubernetes', 'Jenkins', 'Terraform', 'Ansible', 'Chef', 'Puppet',
-                'GitLab CI', 'GitHub Actions', 'CircleCI'
-            ],
-            tools: [
-                'Git', 'GitHub', 'GitLab', 'Bitbucket', 'JIRA', 'Confluence', 'Slack', 'Trello',
-                'Postman', 'Swagger', 'Insomnia', 'VS Code', 'IntelliJ', 'Eclipse'
-            ]
-        };
     }
 
     // Enhanced name extraction with AI-like logic
@@ -210,73 +186,105 @@ class AIEnhancedTextExtractor {
             }
         }
 
-        // Calculate from date ranges
-        const dateRanges = this.extractDateRanges(text);
-        if (dateRanges.length > 0) {
-            let totalExperience = 0;
-            const currentYear = new Date().getFullYear();
-
-            dateRanges.forEach(range => {
-                let startYear = parseInt(range.start);
-                let endYear = range.end.toLowerCase().includes('present') || 
-                            range.end.toLowerCase().includes('current') 
-                            ? currentYear : parseInt(range.end);
-
-                if (startYear && endYear && endYear >= startYear && startYear > 1980) {
-                    totalExperience += (endYear - startYear);
-                }
-            });
-
-            if (totalExperience > 0 && totalExperience < 50) {
-                return `${totalExperience} years`;
-            }
+        // Calculate from date ranges; overlapping jobs are only counted once
+        const totalMonths = experienceCalculator.totalMonths(this.extractDateRanges(text));
+        if (totalMonths > 0 && totalMonths < 50 * 12) {
+            return `${experienceCalculator.toYears(totalMonths)} years`;
         }
 
         return 'Not specified';
     }
 
-    // Extract date ranges from text
+    // Extract date ranges like "2018 - 2020", "Jan 2018 – Present" or "03/2019 to 11/2021".
+    // startMonth/endMonth are 'YYYY-MM'; endMonth is null for ongoing ranges. Year-only
+    // dates have precision 'year' and are taken as January (start) and December (end).
     extractDateRanges(text) {
         const ranges = [];
-        const dateRangePatterns = [
-            /(\d{4})\s*[-–to]\s*(\d{4}|present|current)/gi,
-            /(\w+\s+\d{4})\s*[-–to]\s*(\w+\s+\d{4}|present|current)/gi
-        ];
+        const pattern = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|to|until|till)\\s*(${DATE_PATTERN}|${PRESENT_PATTERN})\\b`, 'gi');
 
-        dateRangePatterns.forEach(pattern => {
-            let match;
-            while ((match = pattern.exec(text)) !== null) {
-                ranges.push({
-                    start: match[1],
-                    end: match[2]
-                });
-            }
-        });
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const start = this.parseResumeDate(match[1]);
+            const isCurrent = new RegExp(`^(?:${PRESENT_PATTERN})$`, 'i').test(match[2]);
+            const end = isCurrent ? null : this.parseResumeDate(match[2]);
+
+            if (!start || (!isCurrent && !end)) continue;
+
+            const precision = start.month && (isCurrent || end.month) ? 'month' : 'year';
+            const startMonth = `${start.year}-${String(start.month || 1).padStart(2, '0')}`;
+            const endMonth = isCurrent ? null : `${end.year}-${String(end.month || 12).padStart(2, '0')}`;
+            if (endMonth && endMonth < startMonth) continue;
+
+            ranges.push({
+                start: match[1],
+                end: match[2],
+                startMonth,
+                endMonth,
+                isCurrent,
+                precision,
+                text: match[0],
+                index: match.index
+            });
+        }
 
         return ranges;
     }
 
-    // Enhanced skill extraction with context awareness
-    extractSkillsWithAI(text, isPrimary = true) {
-        const foundSkills = new Map(); // Use Map to track skills and their contexts
-        const textLower = text.toLowerCase();
+    // "Jan 2018", "January, 2018", "01/2018", "2018-01" or "2018" -> { year, month }
+    parseResumeDate(value) {
+        const text = value.trim().toLowerCase();
+        let year;
+        let month = null;
+
+        const named = text.match(/^([a-z]+)\.?,?\s*'?(\d{4})$/);
+        const monthFirst = text.match(/^(\d{1,2})[/.-](\d{4})$/);
+        const yearFirst = text.match(/^(\d{4})[/.-](\d{1,2})$/);
+
+        if (named) {
+            month = MONTHS.findIndex(name => named[1].startsWith(name)) + 1 || null;
+            year = parseInt(named[2]);
+        } else if (monthFirst) {
+            month = parseInt(monthFirst[1]);
+            year = parseInt(monthFirst[2]);
+        } else if (yearFirst) {
+            year = parseInt(yearFirst[1]);
+            month = parseInt(yearFirst[2]);
+        } else if (/^\d{4}$/.test(text)) {
+            year = parseInt(text);
+        }
 
-        // Get appropriate skill categories
-        const categories = isPrimary 
-            ? ['programming', 'web', 'mobile', 'database', 'cloud']
-            : ['devops', 'tools'];
-
-        categories.forEach(category => {
-            this.skillCategories[category].forEach(skill => {
-                const contexts = this.findSkillContexts(textLower, skill.toLowerCase());
-                if (contexts.length > 0) {
-                    foundSkills.set(skill, {
-                        skill: skill,
-                        contexts: contexts,
-                        score: this.calculateSkillScore(contexts, skill)
-                    });
-                }
-            });
+        if (!year || year < 1970 || year > new Date().getFullYear() + 1 || (month && (month < 1 || month > 12))) {
+            return null;
+        }
+        return { year, month };
+    }
+
+    // Enhanced skill extraction with context awareness. The skill taxonomy service is passed in
+    // (utils do not load services); matches are reported by canonical name, so "ReactJS" gives React.
+    extractSkillsWithAI(text, isPrimary = true, taxonomy) {
+        const foundSkills = new Map(); // Use Map to track skills and their contexts
+        const sections = this.findSkillSections(text);
+
+        taxonomy.findMentions(text, { weight: isPrimary ? 'primary' : 'secondary' }).forEach(({ record, mentions }) => {
+            const skill = record.name;
+            const contexts = skill.length === 1
+                // Single-letter skills like 'R' only count inside a skills or technologies section
+                ? mentions
+                    .map(mention => sections.find(section => section.start <= mention.index && mention.index < section.end))
+                    .filter(section => section && this.isValidSkillContext(section.text, skill))
+                    .map(section => section.text)
+                : mentions
+                    // Surrounding context (50 chars before and after)
+                    .map(mention => text.substring(Math.max(0, mention.index - 50), mention.index + mention.text.length + 50))
+                    .filter(context => this.isValidSkillContext(context, skill));
+
+            if (contexts.length > 0) {
+                foundSkills.set(skill, {
+                    skill: skill,
+                    contexts: contexts,
+                    score: this.calculateSkillScore(contexts, skill)
+                });
+            }
         });
 
         // Sort by score and return top skills
@@ -287,65 +295,14 @@ class AIEnhancedTextExtractor {
         return sortedSkills.slice(0, isPrimary ? 8 : 6);
     }
 
-    // Find contexts where skills are mentioned with improved accuracy
-    findSkillContexts(text, skill) {
-        const contexts = [];
-        
-        // Special handling for single-letter skills like 'R'
-        if (skill.length === 1) {
-            // Look for skill mentions in skills or technologies sections
-            const skillSectionPattern = /(?:skills?|technologies?|tech\s+stack)[^\n]*(?:\n[^\n]*){0,10}/gi;
-            const sections = text.match(skillSectionPattern) || [];
-            
-            for (const section of sections) {
-                const singleLetterSkillPattern = new RegExp(`\\b${skill}\\b(?!\\w)`, 'gi');
-                if (singleLetterSkillPattern.test(section)) {
-                    contexts.push(section);
-                }
-            }
-            return contexts;
-        }
-
-        // For normal skills, use word boundary matching
-        try {
-            const skillRegex = new RegExp(`\\b${this.escapeRegex(skill)}\\b`, 'gi');
-            let match;
-            while ((match = skillRegex.exec(text)) !== null) {
-                // Get surrounding context (50 chars before and after)
-                const start = Math.max(0, match.index - 50);
-                const end = Math.min(text.length, match.index + skill.length + 50);
-                
-                // Get the full line or section where skill is mentioned
-                const context = text.substring(start, end);
-                
-                // Validate the context to avoid false positives
-                if (this.isValidSkillContext(context, skill)) {
-                    contexts.push(context);
-                }
-            }
-        } catch (err) {
-            logger.warn(`Error in skill context extraction for ${skill}:`, err);
-            // Fallback for problematic patterns
-            const safe = skill.replace(/[^a-zA-Z0-9]/g, ' ').trim();
-            if (!safe) return contexts;
-            
-            const lines = text.split('\n');
-            for (const line of lines) {
-                if (line.toLowerCase().includes(safe.toLowerCase()) && 
-                    this.isValidSkillContext(line, skill)) {
-                    contexts.push(line);
-                }
-            }
-        }
-
-        let match;
-        while ((match = skillRegex.exec(text)) !== null) {
-            const start = Math.max(0, match.index - 50);
-            const end = Math.min(text.length, match.index + (match[0] ? match[0].length : skill.length) + 50);
-            contexts.push(text.substring(start, end));
-        }
-
-        return contexts;
+    // Skills or technologies headings with up to 10 following lines, as { start, end, text }
+    findSkillSections(text) {
+        const skillSectionPattern = /(?:skills?|technologies?|tech\s+stack)[^\n]*(?:\n[^\n]*){0,10}/gi;
+        return [...text.matchAll(skillSectionPattern)].map(match => ({
+            start: match.index,
+            end: match.index + match[0].length,
+            text: match[0]
+        }));
     }
 
     // Validate if a context is a genuine skill mention
@@ -580,29 +537,36 @@ class AIEnhancedTextExtractor {
     }
 
     // Main extraction method that uses all AI-enhanced techniques
-    extractCandidateInfoAI(text, extractAdditionalFields = false) {
+    extractCandidateInfoAI(text, extractAdditionalFields = false, taxonomy) {
         logger.info('Using AI-enhanced extraction techniques');
 
+        // Each field is read from the sections it belongs to (whole text when the resume has none)
+        const { textFor } = resumeSegmenter.split(resumeSegmenter.normalize(text));
+        const contactText = textFor(['contact']);
+        const skillText = textFor(resumeSegmenter.skillSections);
+        // Education years would otherwise be counted as work experience
+        const experience = this.extractExperienceWithAI(textFor(['summary', 'experience']));
+
         const candidateInfo = {
-            name: this.extractNameWithAI(text),
-            email: this.extractEmail(text),
-            phone: this.extractPhone(text),
-            experience: this.extractExperienceWithAI(text),
-            linkedinUrl: this.extractLinkedIn(text),
-            primarySkills: this.extractSkillsWithAI(text, true),
-            secondarySkills: this.extractSkillsWithAI(text, false)
+            name: this.extractNameWithAI(contactText),
+            email: this.extractEmail(contactText) || this.extractEmail(text),
+            phone: this.extractPhone(contactText) || this.extractPhone(text),
+            experience: experience !== 'Not specified' ? experience : this.extractExperienceWithAI(text),
+            linkedinUrl: this.extractLinkedIn(contactText) || this.extractLinkedIn(text),
+            primarySkills: this.extractSkillsWithAI(skillText, true, taxonomy),
+            secondarySkills: this.extractSkillsWithAI(skillText, false, taxonomy)
         };
 
         if (extractAdditionalFields) {
             candidateInfo.additionalFields = {
-                education: this.extractEducationWithAI(text),
-                location: this.extractLocationWithAI(text),
-                currentRole: this.extractCurrentRole(text),
-                summary: this.extractSummaryWithAI(text),
-                certifications: this.extractCertifications(text),
+                education: this.extractEducationWithAI(textFor(['education'])),
+                location: this.extractLocationWithAI(contactText) || this.extractLocationWithAI(text),
+                currentRole: this.extractCurrentRole(textFor(['contact', 'summary', 'experience'])),
+                summary: this.extractSummaryWithAI(textFor(['summary'])),
+                certifications: this.extractCertifications(textFor(['certifications'])),
                 languages: this.extractLanguages(text),
-                projects: this.extractProjectsWithAI(text),
-                companies: this.extractCompaniesWithAI(text)
+                projects: this.extractProjectsWithAI(textFor(['projects'])),
+                companies: this.extractCompaniesWithAI(textFor(['experience']))
             };
         }
 
@@ -0,0 +1,138 @@
+const textExtractor = require('./textExtractor');
+const resumeSegmenter = require('./resumeSegmenter');
+
+const BULLET = /^[•▪●○◦►➢✓✔*·\-–]\s*/;
+const TITLE_WORDS = /\b(?:engineer|developer|programmer|architect|manager|lead|analyst|consultant|tester|designer|specialist|administrator|director|officer|executive|associate|intern|trainee|scientist|head|coordinator|supervisor|accountant|president|vp|sde|qa)\b/i;
+// Legal suffixes always mean a company; industry words lose to a title word ("Software Engineer")
+const COMPANY_SUFFIXES = /\b(?:ltd|limited|inc|corp|corporation|company|llc|llp|plc|gmbh|pvt|private)\b\.?/i;
+const COMPANY_WORDS = /\b(?:technologies|technology|solutions|systems|services|software|consulting|consultancy|labs|group|bank|infotech)\b/i;
+const KNOWN_COMPANIES = /^(?:google|microsoft|amazon|apple|facebook|meta|netflix|ibm|oracle|salesforce|adobe|uber|tcs|infosys|wipro|hcl|accenture|capgemini|cognizant|tech mahindra|mindtree|mphasis|deloitte|kpmg|pwc|ey)\b/i;
+const PLACES = /^(?:remote|hybrid|on-?site|hyderabad|bangalore|bengaluru|mumbai|delhi|new delhi|chennai|pune|kolkata|ahmedabad|noida|gurgaon|gurugram|kochi|london|new york|san francisco|seattle|austin|toronto|singapore|dubai|sydney|berlin|india|usa|us|uk|united states|united kingdom|canada|germany|australia|uae)$/i;
+const LABELLED = /^(company|employer|organi[sz]ation|designation|title|role|position|location)\s*:\s*(.+)$/i;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Header lines (company, title, location) are short and are not sentences
+const MAX_HEADER_LENGTH = 80;
+// Lines before or after the dated line that may still belong to the role header
+const MAX_HEADER_LINES = 2;
+
+// Builds workHistory from the experience section: one entry per dated role with
+// company, title, location, start/end month, isCurrent and the bullet points under it.
+// The dated lines (see textExtractor.extractDateRanges) anchor the entries.
+class WorkHistoryExtractor {
+  extract(text, sections = resumeSegmenter.segment(text)) {
+    if (!sections.some(section => section.label === 'experience')) {
+      return [];
+    }
+
+    const lines = sections
+      .filter(section => section.label === 'experience')
+      .flatMap(section => text.substring(section.start, section.end).split('\n').slice(section.heading ? 1 : 0))
+      .map(line => line.trim())
+      .filter(Boolean);
+
+    const anchors = [];
+    lines.forEach((line, index) => {
+      if (BULLET.test(line) || line.length > 120) return;
+      const [range] = textExtractor.extractDateRanges(line);
+      if (range) {
+        anchors.push({ index, range });
+      }
+    });
+
+    const isHeaderLine = line => !BULLET.test(line) && line.length <= MAX_HEADER_LENGTH &&
+      !/[.;]$/.test(line) && textExtractor.extractDateRanges(line).length === 0;
+
+    // Header lines above each dated line, not reaching into the previous role
+    anchors.forEach((anchor, i) => {
+      const floor = i > 0 ? anchors[i - 1].index + 1 : 0;
+      anchor.start = anchor.index;
+      while (anchor.start > floor && anchor.index - anchor.start < MAX_HEADER_LINES && isHeaderLine(lines[anchor.start - 1])) {
+        anchor.start--;
+      }
+    });
+
+    return anchors.map((anchor, i) => {
+      const next = i + 1 < anchors.length ? anchors[i + 1].start : lines.length;
+      const headerLines = lines.slice(anchor.start, anchor.index + 1);
+      let cursor = anchor.index + 1;
+
+      // The dated line may come first, with the title and company below it
+      let entry = this.parseHeader(headerLines, anchor.range);
+      while ((!entry.title || !entry.company) && cursor < next && cursor - anchor.index <= MAX_HEADER_LINES && isHeaderLine(lines[cursor])) {
+        headerLines.push(lines[cursor++]);
+        entry = this.parseHeader(headerLines, anchor.range);
+      }
+
+      return {
+        ...entry,
+        startMonth: anchor.range.startMonth,
+        endMonth: anchor.range.endMonth,
+        isCurrent: anchor.range.isCurrent,
+        datePrecision: anchor.range.precision,
+        bullets: lines.slice(cursor, next).map(line => line.replace(BULLET, '').trim()).filter(Boolean)
+      };
+    });
+  }
+
+  // Splits the header into parts and sorts them into company, title and location
+  parseHeader(headerLines, range) {
+    const found = { company: [], title: [], location: [], other: [] };
+
+    headerLines
+      .map(line => line.replace(range.text, ' ').replace(/\b(?:duration|period|dates?)\s*:/i, ' '))
+      .flatMap(line => line.split(/\s*(?:\||\s[-–—]\s|[()@]|\bat\b|\t)\s*/i))
+      .map(part => part.trim().replace(/^[,\s]+|[,\s]+$/g, ''))
+      .filter(part => /[a-z]/i.test(part))
+      .forEach(part => {
+        const labelled = part.match(LABELLED);
+        if (labelled) {
+          const label = labelled[1].toLowerCase();
+          const key = /compan|employ|organi/.test(label) ? 'company' : label === 'location' ? 'location' : 'title';
+          found[key].push(labelled[2].trim());
+          return;
+        }
+
+        // "Senior Tester, Wipro Limited, Bangalore": classify each comma-separated piece
+        const pieces = part.split(/\s*,\s*/).filter(Boolean);
+        // A state code only counts after a known place ("Austin, TX")
+        const isPlace = (piece, index) => PLACES.test(piece) ||
+          (/^[A-Z]{2}$/.test(piece) && index > 0 && PLACES.test(pieces[index - 1]));
+        const places = pieces.filter(isPlace);
+        if (places.length > 0) {
+          found.location.push(places.join(', '));
+        }
+
+        pieces.filter((piece, index) => !isPlace(piece, index)).forEach(piece => {
+          if (COMPANY_SUFFIXES.test(piece) || KNOWN_COMPANIES.test(piece)) {
+            found.company.push(piece);
+          } else if (TITLE_WORDS.test(piece)) {
+            found.title.push(piece);
+          } else if (COMPANY_WORDS.test(piece)) {
+            found.company.push(piece);
+          } else {
+            found.other.push(piece);
+          }
+        });
+      });
+
+    // Unclassified parts fill whatever is still missing, company first
+    const company = found.company[0] || found.other.shift() || null;
+    const title = found.title[0] || found.other.shift() || null;
+
+    return { company, title, location: found.location[0] || null };
+  }
+
+  // "Jan 2018 - Present", or "2015 - 2017" when the resume only gave years
+  formatPeriod(entry) {
+    const format = value => {
+      const [year, month] = value.split('-');
+      return entry.datePrecision === 'year' ? year : `${MONTH_NAMES[parseInt(month) - 1]} ${year}`;
+    };
+    const end = entry.isCurrent ? 'Present' : entry.endMonth ? format(entry.endMonth) : '?';
+    return `${format(entry.startMonth)} - ${end}`;
+  }
+}
+
+module.exports = new WorkHistoryExtractor();
@@ -0,0 +1,97 @@
+const workHistoryExtractor = require('./workHistoryExtractor');
+const textExtractor = require('./textExtractor');
+
+const header = (line) => workHistoryExtractor.parseHeader([line], textExtractor.extractDateRanges(line)[0]);
+
+describe('workHistoryExtractor.extract', () => {
+  const resume = [
+    'Work Experience',
+    'Senior QA Engineer | Infosys Limited | Pune',
+    'Jan 2018 - Present',
+    '• Led automation of regression suites',
+    '• Mentored 4 testers',
+    '',
+    'Software Engineer, Acme Corp, Austin, TX (Mar 2015 - Dec 2017)',
+    '- Built REST services',
+    '',
+    'Education',
+    'B.Tech, JNTU, 2010 - 2014'
+  ].join('\n');
+
+  test('builds one entry per role with its bullets', () => {
+    expect(workHistoryExtractor.extract(resume)).toEqual([
+      {
+        company: 'Infosys Limited',
+        title: 'Senior QA Engineer',
+        location: 'Pune',
+        startMonth: '2018-01',
+        endMonth: null,
+        isCurrent: true,
+        datePrecision: 'month',
+        bullets: ['Led automation of regression suites', 'Mentored 4 testers']
+      },
+      {
+        company: 'Acme Corp',
+        title: 'Software Engineer',
+        location: 'Austin, TX',
+        startMonth: '2015-03',
+        endMonth: '2017-12',
+        isCurrent: false,
+        datePrecision: 'month',
+        bullets: ['Built REST services']
+      }
+    ]);
+  });
+
+  test('date ranges outside the experience section are not roles', () => {
+    const entries = workHistoryExtractor.extract(resume);
+    expect(entries.map(entry => entry.startMonth)).not.toContain('2010-01');
+  });
+
+  test('year-only ranges keep year precision', () => {
+    const [entry] = workHistoryExtractor.extract('Experience\nTest Lead, Wipro Technologies, 2012 - 2016');
+
+    expect(entry).toMatchObject({ company: 'Wipro Technologies', title: 'Test Lead', datePrecision: 'year' });
+    expect(workHistoryExtractor.formatPeriod(entry)).toBe('2012 - 2016');
+  });
+
+  test('a resume without dated roles has no work history', () => {
+    expect(workHistoryExtractor.extract('Skills: Java, Selenium')).toEqual([]);
+  });
+});
+
+describe('workHistoryExtractor.parseHeader', () => {
+  test('"Title at Company" lines', () => {
+    expect(header('Software Engineer at Google (2015 - 2017)'))
+      .toEqual({ company: 'Google', title: 'Software Engineer', location: null });
+  });
+
+  test('title words win over weak company words', () => {
+    expect(header('Software Engineer, Acme Software Pvt Ltd, 2019 - 2021'))
+      .toEqual({ company: 'Acme Software Pvt Ltd', title: 'Software Engineer', location: null });
+  });
+
+  test('labelled header lines', () => {
+    const parsed = workHistoryExtractor.parseHeader(
+      ['Company: Foo Bar', 'Designation: Lead Analyst', 'Location: Chennai'],
+      { text: '' }
+    );
+    expect(parsed).toEqual({ company: 'Foo Bar', title: 'Lead Analyst', location: 'Chennai' });
+  });
+
+  test('a state code is a location only after a known place', () => {
+    expect(header('Senior QA, Acme Corp, 2019 - 2021').location).toBeNull();
+    expect(header('QA Engineer, Acme Corp, Austin, TX, 2019 - 2021').location).toBe('Austin, TX');
+  });
+
+  test('unclassified parts fill the company first', () => {
+    expect(header('Zeta | Analyst | 2019 - 2021')).toEqual({ company: 'Zeta', title: 'Analyst', location: null });
+  });
+});
+
+describe('workHistoryExtractor.formatPeriod', () => {
+  test('month precision and current roles', () => {
+    expect(workHistoryExtractor.formatPeriod({ startMonth: '2018-01', endMonth: null, isCurrent: true, datePrecision: 'month' }))
+      .toBe('Jan 2018 - Present');
+  });
+});